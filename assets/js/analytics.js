@@ -0,0 +1,144 @@
+/**
+ * analytics.js - Post Analytics
+ * Shapes post statistics for the Analytics section.
+ *
+ * Extended post.stats response (requested with from, to and timezone):
+ *   overview        { total, posted, failed, pending, successRate, connectedPlatforms }
+ *   timeline        [{ date: 'YYYY-MM-DD', total, posted, failed, pending }] one entry per day
+ *   platforms       [{ platform, total, posted, failed, pending, successRate }]
+ *   failureReasons  [{ reason, count }] most frequent first
+ *   hours           [24 counts] posts by scheduled hour in the requested zone
+ *   weekdays        [7 counts] posts by scheduled weekday, Monday first
+ *
+ * Backends that only return `overview` are covered by summarize(), which
+ * builds the same shape from the post list.
+ */
+
+class PostAnalytics {
+    static get STATUSES() {
+        return ['posted', 'failed', 'pending'];
+    }
+
+    static get MAX_FAILURE_REASONS() {
+        return 8;
+    }
+
+    /**
+     * Build the extended stats shape from posts, bucketing days in `timeZone`
+     * between two day keys (inclusive)
+     */
+    static summarize(posts, timeZone, firstDay, lastDay) {
+        const timeline = [];
+        const byDate = {};
+        
+        for (let day = firstDay; day <= lastDay; day = ContentCalendar.addDays(day, 1)) {
+            byDate[day] = { date: day, total: 0, posted: 0, failed: 0, pending: 0 };
+            timeline.push(byDate[day]);
+        }
+        
+        const platforms = {};
+        const failureReasons = {};
+        const hours = new Array(24).fill(0);
+        const weekdays = new Array(7).fill(0);
+        
+        posts.forEach(post => {
+            const local = Utils.formatDateTimeLocal(post.scheduled_time, timeZone);
+            const day = byDate[local.slice(0, 10)];
+            if (!day) return;
+            
+            day.total++;
+            if (this.STATUSES.includes(post.status)) {
+                day[post.status]++;
+            }
+            
+            const platform = platforms[post.platform] = platforms[post.platform] ||
+                { platform: post.platform, total: 0, posted: 0, failed: 0, pending: 0 };
+            platform.total++;
+            if (this.STATUSES.includes(post.status)) {
+                platform[post.status]++;
+            }
+            
+            if (post.status === 'failed') {
+                const reason = (post.error || 'No reason recorded').trim();
+                failureReasons[reason] = (failureReasons[reason] || 0) + 1;
+            }
+            
+            hours[Number(local.slice(11, 13))]++;
+            weekdays[ContentCalendar.getWeekdayIndex(local.slice(0, 10))]++;
+        });
+        
+        const totals = this.sumBuckets(timeline);
+        
+        return {
+            overview: {
+                ...totals,
+                successRate: this.getSuccessRate(totals) || 0
+            },
+            timeline: timeline,
+            platforms: Object.values(platforms)
+                .map(item => ({ ...item, successRate: this.getSuccessRate(item) }))
+                .sort((a, b) => b.total - a.total),
+            failureReasons: Object.entries(failureReasons)
+                .map(([reason, count]) => ({ reason, count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, this.MAX_FAILURE_REASONS),
+            hours: hours,
+            weekdays: weekdays
+        };
+    }
+
+    /**
+     * Roll a daily timeline up into Monday-first weeks
+     */
+    static groupByWeek(timeline) {
+        const weeks = [];
+        const byWeek = {};
+        
+        timeline.forEach(day => {
+            const start = ContentCalendar.startOfWeek(day.date);
+            
+            if (!byWeek[start]) {
+                byWeek[start] = { date: start, total: 0, posted: 0, failed: 0, pending: 0 };
+                weeks.push(byWeek[start]);
+            }
+            
+            ['total', ...this.STATUSES].forEach(key => {
+                byWeek[start][key] += day[key] || 0;
+            });
+        });
+        
+        return weeks;
+    }
+
+    static sumBuckets(buckets) {
+        const totals = { total: 0, posted: 0, failed: 0, pending: 0 };
+        
+        buckets.forEach(bucket => {
+            Object.keys(totals).forEach(key => {
+                totals[key] += bucket[key] || 0;
+            });
+        });
+        
+        return totals;
+    }
+
+    /**
+     * Share of finished posts that went out, or null when none finished
+     */
+    static getSuccessRate(bucket) {
+        const finished = (bucket.posted || 0) + (bucket.failed || 0);
+        return finished > 0 ? Math.round((bucket.posted / finished) * 100) : null;
+    }
+
+    /**
+     * Short axis label for a day key, e.g. "Oct 19"
+     */
+    static formatDayLabel(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+            timeZone: 'UTC',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+}
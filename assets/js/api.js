@@ -5,8 +5,8 @@
 
 class ApiService {
     constructor() {
-        this.baseUrl = 'https://script.google.com/macros/s/AKfycbyjlF8fcu-oXtSPB9MFgtjcRbt8BlheyqR22ADeeK0ijTsTt8oxLBiAB0GzJMzBy2fv-A/exec';
-        this.apiKey = 'MySuperSecretKeyForAutoPostr2025!';
+        // Requests are authenticated by the session token, never by a shared key
+        this.baseUrl = AppConfig.get('apiBaseUrl');
         this.cache = new Map();
         this.requestQueue = new Map();
     }
@@ -57,18 +57,26 @@ class ApiService {
         
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                const url = `${this.baseUrl}?key=${this.apiKey}`;
+                // Nothing secret goes in the URL, which ends up in server and proxy logs
+                const url = this.baseUrl || AppConfig.require('apiBaseUrl');
                 const payload = {
                     ...data,
                     action: endpoint
                 };
                 
+                // Apps Script can't read request headers, so the session travels in the body
+                const sessionToken = this.getSessionToken();
+                if (sessionToken) {
+                    payload.session_token = sessionToken;
+                }
+                
                 const fetchOptions = {
                     method: 'POST', // Always use POST for GAS
                     headers: {
                         'Content-Type': 'text/plain;charset=utf-8',
                     },
-                    body: JSON.stringify(payload)
+                    body: JSON.stringify(payload),
+                    keepalive: !!options.keepalive
                 };
                 
                 const response = await fetch(url, fetchOptions);
@@ -87,14 +95,22 @@ class ApiService {
                 }
                 
                 if (!result.success) {
-                    throw new Error(result.message || 'Request failed');
+                    const error = new Error(result.message || 'Request failed');
+                    error.code = result.code || null;
+                    error.data = result;
+                    throw error;
                 }
                 
                 return result;
-                
+            
             } catch (error) {
                 console.error(`API Request failed (attempt ${attempt}/${maxRetries}):`, error);
                 
+                // A coded refusal from the backend won't change on retry
+                if (error.code) {
+                    throw error;
+                }
+                
                 if (attempt === maxRetries) {
                     throw new Error(`API request failed after ${maxRetries} attempts: ${error.message}`);
                 }
@@ -112,8 +128,37 @@ class ApiService {
         return this.request('user.register', userData);
     }
 
+    /**
+     * Ask the backend to email a one-time sign-in code and magic link.
+     * Sending is not retried so a slow response doesn't send several codes.
+     */
     async loginUser(email) {
-        return this.request('user.login', { email });
+        return this.request('user.login', { email }, { retries: 1 });
+    }
+
+    /**
+     * Exchange a code (or magic link token) for a signed session token
+     */
+    async verifyLogin(verification) {
+        // Every retry would count as another attempt against the lockout
+        return this.request('user.verify', verification, { retries: 1 });
+    }
+
+    /**
+     * Session API methods. The backend identifies the user from the session
+     * token sent with every request and decides when a session ends.
+     */
+    async refreshSession() {
+        return this.request('session.refresh', {}, { retries: 2 });
+    }
+
+    async checkSession() {
+        return this.request('session.check', {}, { retries: 1 });
+    }
+
+    async revokeSession() {
+        // Sent while the page unloads on logout
+        return this.request('session.revoke', {}, { retries: 1, keepalive: true });
     }
 
     async getUserProfile(email) {
@@ -124,13 +169,62 @@ class ApiService {
         });
     }
 
+    async updateUser(userData) {
+        return this.request('user.update', userData);
+    }
+
+    async deleteUser(email) {
+        // The backend also removes the user's tokens and posts
+        return this.request('user.delete', { email });
+    }
+
     /**
-     * Token API methods
+     * Token API methods. Tokens are sent once when connecting; the backend
+     * encrypts them at rest and only ever returns fingerprints and health.
      */
     async saveToken(tokenData) {
         return this.request('token.save', tokenData);
     }
 
+    async testToken(tokenData) {
+        // A rejected credential is an answer, not a transient failure
+        return this.request('token.test', tokenData, { retries: 1 });
+    }
+
+    async updateToken(tokenData) {
+        return this.request('token.update', tokenData);
+    }
+
+    /**
+     * Trade an OAuth authorization code (with its PKCE verifier) for a token.
+     * The backend holds the client secret and swaps short-lived tokens for
+     * long-lived ones before storing them. When the sign-in gives access to
+     * several Pages or accounts, nothing is stored yet: the response carries
+     * `accounts` ([{ id, name }]) and a `selection_id` for selectOAuthAccount.
+     */
+    async exchangeOAuthCode(exchangeData) {
+        // A code can only be redeemed once
+        return this.request('token.oauthExchange', exchangeData, { retries: 1 });
+    }
+
+    /**
+     * Store the token for the Page or account picked after an exchange
+     */
+    async selectOAuthAccount(selectionData) {
+        return this.request('token.oauthSelect', selectionData, { retries: 1 });
+    }
+
+    /**
+     * Renew an OAuth-connected token with the refresh grant the backend holds
+     */
+    async refreshToken(platform) {
+        return this.request('token.refresh', { platform }, { retries: 1 });
+    }
+
+    async deleteToken(platform) {
+        return this.request('token.delete', { platform });
+    }
+
     async getUserTokens(email) {
         return this.request('token.list', { email }, {
             method: 'GET',
@@ -146,6 +240,44 @@ class ApiService {
         return this.request('post.create', postData);
     }
 
+    async schedulePostGroup(groupData) {
+        return this.request('post.createGroup', groupData);
+    }
+
+    async createPostBatch(batchData) {
+        return this.request('post.createBatch', batchData);
+    }
+
+    async createRecurringPost(seriesData) {
+        return this.request('post.createRecurring', seriesData);
+    }
+
+    async updateRecurringPost(seriesId, seriesData) {
+        return this.request('post.updateRecurring', { series_id: seriesId, ...seriesData });
+    }
+
+    async updatePost(postId, postData) {
+        return this.request('post.update', { post_id: postId, ...postData });
+    }
+
+    async reschedulePost(postId, schedule, timezone) {
+        return this.request('post.reschedule', { post_id: postId, schedule, timezone });
+    }
+
+    async cancelPost(postId) {
+        return this.request('post.cancel', { post_id: postId });
+    }
+
+    /**
+     * Media API methods
+     */
+    async uploadMedia(chunkData) {
+        // Chunks are large and always unique, so don't build a key from the payload
+        return this.request('media.upload', chunkData, {
+            cacheKey: `media_${chunkData.upload_id}_${chunkData.chunk_index}`
+        });
+    }
+
     async getUserPosts(email, filters = {}) {
         return this.request('post.list', { email, ...filters }, {
             method: 'GET',
@@ -154,17 +286,68 @@ class ApiService {
         });
     }
 
-    async getUserStats(email) {
-        return this.request('post.stats', { email }, {
+    /**
+     * Fetch every post matching the filters, one page at a time
+     */
+    async getAllUserPosts(email, filters = {}) {
+        const pageSize = 100;
+        const maxPages = 200; // in case the backend ignores the offset
+        const posts = [];
+        
+        for (let page = 0; page < maxPages; page++) {
+            const result = await this.getUserPosts(email, {
+                ...filters,
+                limit: pageSize,
+                offset: page * pageSize
+            });
+            
+            const batch = result.posts || [];
+            posts.push(...batch);
+            
+            const reachedTotal = typeof result.total === 'number' && posts.length >= result.total;
+            if (batch.length < pageSize || reachedTotal) {
+                break;
+            }
+        }
+        
+        return posts;
+    }
+
+    /**
+     * Fetch post statistics, optionally limited by { from, to, platform }.
+     * Pass a timezone as well to also get the timeline and breakdowns
+     * described in analytics.js.
+     */
+    async getUserStats(email, filters = {}) {
+        return this.request('post.stats', { email, ...filters }, {
             method: 'GET',
-            cacheKey: `stats_${email}`,
+            cacheKey: `stats_${email}_${JSON.stringify(filters)}`,
             cacheTime: 30000 // 30 seconds
         });
     }
 
+    /**
+     * Queue API methods
+     */
+    async getQueues(email) {
+        return this.request('queue.list', { email }, {
+            method: 'GET',
+            cacheKey: `queues_${email}`,
+            cacheTime: 30000 // 30 seconds
+        });
+    }
+
+    async saveQueue(queueData) {
+        return this.request('queue.save', queueData);
+    }
+
     /**
      * Utility methods
      */
+    getSessionToken() {
+        return localStorage.getItem('sessionToken');
+    }
+
     _generateCacheKey(endpoint, data) {
         return `${endpoint}_${JSON.stringify(data)}`;
     }
@@ -200,7 +383,7 @@ class ApiService {
      */
     async getStatus() {
         try {
-            const response = await fetch(this.baseUrl);
+            const response = await fetch(this.baseUrl || AppConfig.require('apiBaseUrl'));
             const text = await response.text();
             return { online: true, response: text };
         } catch (error) {
@@ -212,25 +395,20 @@ class ApiService {
 // Global API instance
 const API = new ApiService();
 
-// Request interceptor for adding auth headers
-const originalRequest = API.request.bind(API);
-API.request = async function(endpoint, data, options) {
-    // Add user email to all requests if available
-    const userEmail = localStorage.getItem('userEmail');
-    if (userEmail && !data.email) {
-        data.email = userEmail;
-    }
-    
-    return originalRequest(endpoint, data, options);
-};
-
 // Response interceptor for handling common errors
 API._makeRequest = async function(...args) {
     try {
-        return await originalRequest._makeRequest.apply(this, args);
+        return await ApiService.prototype._makeRequest.apply(this, args);
     } catch (error) {
         // Handle specific error cases
-        if (error.message.includes('Failed to fetch')) {
+        if (AuthService.isSessionError(error)) {
+            // The backend expired or revoked the session; nothing else will succeed
+            Auth.endSession(error);
+        } else if (PlanEntitlements.isPlanError(error)) {
+            // Plan limits get the same explanation and upgrade prompt as the client checks
+            error.message = PlanEntitlements.describeError(error, Auth.getCurrentUser());
+            document.dispatchEvent(new CustomEvent('planlimit', { detail: { message: error.message } }));
+        } else if (error.message.includes('Failed to fetch')) {
             Utils.showNotification('Network error: Please check your internet connection', 'error');
         } else if (error.message.includes('Invalid JSON')) {
             Utils.showNotification('Server error: Please try again later', 'error');
@@ -6,10 +6,27 @@
 class AuthService {
     constructor() {
         this.currentUser = null;
-        this.sessionTimeout = 24 * 60 * 60 * 1000; // 24 hours
+        this.sessionTimeout = 24 * 60 * 60 * 1000; // 24 hours, if the backend gives no expiry
+        this.refreshMargin = 5 * 60 * 1000; // renew the token 5 minutes before it expires
+        this.refreshRetryDelay = 60 * 1000;
+        this.maxRefreshWait = 24 * 60 * 60 * 1000; // setTimeout fires at once past 2^31-1 ms
+        this.sessionCheckInterval = 5 * 60 * 1000;
+        this.refreshTimer = null;
+        this.refreshing = null;
         this.init();
     }
 
+    /**
+     * Error codes the backend uses when a session token is no longer accepted
+     */
+    static get SESSION_ERROR_CODES() {
+        return ['SESSION_EXPIRED', 'SESSION_REVOKED', 'SESSION_INVALID', 'AUTH_REQUIRED'];
+    }
+
+    static isSessionError(error) {
+        return !!error && this.SESSION_ERROR_CODES.includes(error.code);
+    }
+
     /**
      * Initialize authentication state
      */
@@ -20,7 +37,8 @@ class AuthService {
     }
 
     /**
-     * User login
+     * Start a passwordless login. The backend emails a one-time code and a
+     * magic link; nobody is signed in until one of them is verified.
      */
     async login(email) {
         try {
@@ -29,9 +47,14 @@ class AuthService {
             const result = await API.loginUser(email);
             
             if (result.success) {
-                this._setUserSession(result.user);
-                Utils.showNotification('Login successful!', 'success');
-                return { success: true, user: result.user };
+                return {
+                    success: true,
+                    challenge: {
+                        id: result.challenge_id || null,
+                        resendAfter: result.resend_after || 60,
+                        expiresIn: result.expires_in || 10 * 60
+                    }
+                };
             } else {
                 throw new Error(result.message);
             }
@@ -44,6 +67,32 @@ class AuthService {
         }
     }
 
+    /**
+     * Finish a login with the emailed code, or the token from a magic link.
+     * Failures carry the backend's code and details (attempts left, lockout)
+     * for the login page to explain.
+     */
+    async verify(email, { code = null, token = null, challengeId = null } = {}) {
+        try {
+            const result = await API.verifyLogin({
+                email: email,
+                code: code,
+                token: token,
+                challenge_id: challengeId
+            });
+            
+            if (!result.session || !result.session.token) {
+                throw new Error('The server did not issue a session');
+            }
+            
+            this._setUserSession(result.user, result.session);
+            return { success: true, user: result.user };
+        } catch (error) {
+            console.error('Verification error:', error);
+            return { success: false, error: error.message, code: error.code || null, data: error.data || {} };
+        }
+    }
+
     /**
      * User registration
      */
@@ -54,8 +103,8 @@ class AuthService {
             const result = await API.registerUser(userData);
             
             if (result.success) {
-                this._setUserSession(result.user);
-                Utils.showNotification('Registration successful! Welcome to AutoPostr.', 'success');
+                // The account exists, but signing in still goes through the emailed code
+                Utils.showNotification('Registration successful! Check your email for a sign-in code.', 'success');
                 return { success: true, user: result.user };
             } else {
                 throw new Error(result.message);
@@ -73,22 +122,79 @@ class AuthService {
      * User logout
      */
     logout() {
-        this.currentUser = null;
-        localStorage.removeItem('userEmail');
-        localStorage.removeItem('userData');
-        localStorage.removeItem('sessionExpiry');
+        // Revoke the token on the backend too, so a copy of it stops working.
+        // The request picks up the token before the session is cleared below.
+        if (this.getSessionToken()) {
+            API.revokeSession().catch(error => {
+                console.error('Failed to revoke session:', error);
+            });
+        }
         
-        API.clearCache();
+        this._clearSession();
         
         // Redirect to login page
         window.location.href = 'login.html';
     }
 
+    /**
+     * Sign out locally after the backend expired or revoked the session
+     */
+    endSession(error = null) {
+        if (!this.getSessionToken()) return;
+        
+        const message = error && error.code === 'SESSION_REVOKED' ?
+            'You have been signed out. Please login again.' :
+            'Your session has expired. Please login again.';
+        
+        this._clearSession();
+        Utils.showNotification(message, 'warning');
+        window.location.href = 'login.html';
+    }
+
+    /**
+     * Swap the session token for a new one before it expires. Concurrent
+     * callers share one request.
+     */
+    async refreshSession() {
+        if (!this.getSessionToken()) return false;
+        
+        if (!this.refreshing) {
+            this.refreshing = API.refreshSession()
+                .then(result => {
+                    if (!result.session || !result.session.token) {
+                        throw new Error('The server did not issue a session');
+                    }
+                    
+                    this._storeSession(result.session);
+                    return true;
+                })
+                .catch(error => {
+                    // Session errors have already signed the user out; anything
+                    // else is worth another try while the old token still works
+                    console.error('Failed to refresh session:', error);
+                    this._scheduleRefresh(this.refreshRetryDelay);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        
+        return this.refreshing;
+    }
+
     /**
      * Check if user is authenticated
      */
     isAuthenticated() {
-        return !!this.currentUser && !this._isSessionExpired();
+        return !!this.currentUser && !!this.getSessionToken() && !this._isSessionExpired();
+    }
+
+    /**
+     * Signed token from the last verified login
+     */
+    getSessionToken() {
+        return localStorage.getItem('sessionToken');
     }
 
     /**
@@ -98,6 +204,16 @@ class AuthService {
         return this.currentUser;
     }
 
+    /**
+     * Store profile changes for the current user without touching the session
+     */
+    updateCurrentUser(changes) {
+        if (!this.currentUser) return;
+        
+        this.currentUser = { ...this.currentUser, ...changes };
+        localStorage.setItem('userData', JSON.stringify(this.currentUser));
+    }
+
     /**
      * Require authentication for protected routes
      */
@@ -118,7 +234,7 @@ class AuthService {
         try {
             const result = await API.getUserProfile(this.currentUser.email);
             if (result.success) {
-                this._setUserSession(result.profile.user);
+                this.updateCurrentUser(result.profile.user);
             }
         } catch (error) {
             console.error('Failed to refresh user data:', error);
@@ -128,36 +244,107 @@ class AuthService {
     /**
      * Internal methods
      */
-    _setUserSession(user) {
-        this.currentUser = user;
-        const expiry = Date.now() + this.sessionTimeout;
+    _setUserSession(user, session) {
+        // Only a verified login comes with a session token
+        if (!session || !session.token) {
+            throw new Error('A verified session is required to sign in');
+        }
         
-        localStorage.setItem('userEmail', user.email);
+        this.currentUser = user;
         localStorage.setItem('userData', JSON.stringify(user));
+        this._storeSession(session);
+    }
+
+    /**
+     * Keep a token issued by the backend. Its expiry only tells us when to
+     * refresh; the backend decides whether the token is still accepted.
+     */
+    _storeSession(session) {
+        const expiry = session.expires_at ?
+            new Date(session.expires_at).getTime() :
+            Date.now() + this.sessionTimeout;
+        
+        localStorage.setItem('sessionToken', session.token);
         localStorage.setItem('sessionExpiry', expiry.toString());
+        this._scheduleRefresh();
+    }
+
+    _clearSession() {
+        this.currentUser = null;
+        clearTimeout(this.refreshTimer);
+        
+        localStorage.removeItem('userEmail'); // left behind by older versions
+        localStorage.removeItem('userData');
+        localStorage.removeItem('sessionToken');
+        localStorage.removeItem('sessionExpiry');
+        
+        API.clearCache();
     }
 
     _loadUserFromStorage() {
-        const userEmail = localStorage.getItem('userEmail');
         const userData = localStorage.getItem('userData');
+        const sessionToken = localStorage.getItem('sessionToken');
         const sessionExpiry = localStorage.getItem('sessionExpiry');
         
-        if (userEmail && userData && sessionExpiry) {
+        // Sessions saved before verification existed have no token and don't count
+        if (userData && sessionToken && sessionExpiry) {
             this.currentUser = JSON.parse(userData);
         }
     }
 
+    _getSessionExpiry() {
+        return parseInt(localStorage.getItem('sessionExpiry'), 10) || 0;
+    }
+
     _isSessionExpired() {
-        const expiry = localStorage.getItem('sessionExpiry');
-        if (!expiry) return true;
+        return Date.now() > this._getSessionExpiry();
+    }
+
+    /**
+     * Renew the token `refreshMargin` before it expires, or after `delay` ms
+     */
+    _scheduleRefresh(delay = null) {
+        clearTimeout(this.refreshTimer);
+        if (!this.getSessionToken()) return;
+        
+        const wait = delay !== null ?
+            delay :
+            Math.max(0, this._getSessionExpiry() - this.refreshMargin - Date.now());
         
-        return Date.now() > parseInt(expiry);
+        // Long-lived sessions wake up early and schedule again from the callback
+        this.refreshTimer = setTimeout(() => {
+            // Another tab may have refreshed the shared token in the meantime
+            if (this._getSessionExpiry() - this.refreshMargin > Date.now()) {
+                this._scheduleRefresh();
+            } else {
+                this.refreshSession();
+            }
+        }, Math.min(wait, this.maxRefreshWait));
     }
 
-    _checkSessionExpiry() {
-        if (this._isSessionExpired() && this.currentUser) {
-            Utils.showNotification('Your session has expired. Please login again.', 'warning');
-            this.logout();
+    /**
+     * Ask the backend whether the session is still valid. An expired or
+     * revoked session comes back as a session error, which signs the user
+     * out in the API interceptor.
+     */
+    async _checkSessionExpiry() {
+        if (!this.currentUser || !this.getSessionToken()) return;
+        
+        // Past the expiry the backend gave us there is nothing left to refresh
+        if (this._isSessionExpired()) {
+            this.endSession({ code: 'SESSION_EXPIRED' });
+            return;
+        }
+        
+        try {
+            const result = await API.checkSession();
+            
+            if (result.session && result.session.expires_at) {
+                localStorage.setItem('sessionExpiry', new Date(result.session.expires_at).getTime().toString());
+                this._scheduleRefresh();
+            }
+        } catch (error) {
+            console.error('Failed to check session:', error);
         }
     }
 
@@ -169,10 +356,32 @@ class AuthService {
             }
         }, 5 * 60 * 1000);
         
-        // Check session expiry every minute
+        // Renew the token ahead of its expiry
+        this._scheduleRefresh();
+        
+        // Confirm the session with the backend regularly and whenever the
+        // tab comes back into view, so revocations are noticed
         setInterval(() => {
             this._checkSessionExpiry();
-        }, 60 * 1000);
+        }, this.sessionCheckInterval);
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this._checkSessionExpiry();
+            }
+        });
+        
+        // Follow refreshes and logouts made in other tabs
+        window.addEventListener('storage', (event) => {
+            if (event.key !== 'sessionToken') return;
+            
+            if (event.newValue) {
+                this._scheduleRefresh();
+            } else if (this.currentUser) {
+                this.currentUser = null;
+                window.location.href = 'login.html';
+            }
+        });
     }
 }
 
@@ -0,0 +1,225 @@
+/**
+ * bulk.js - Bulk Importer
+ * Parses CSV/TSV schedules in the browser and checks each row before it is sent
+ */
+
+class BulkImporter {
+    /**
+     * Columns understood in the header row; the rest are ignored
+     */
+    static get COLUMNS() {
+        return ['platform', 'message', 'media_url', 'schedule', 'timezone'];
+    }
+
+    static get REQUIRED_COLUMNS() {
+        return ['platform', 'message', 'schedule'];
+    }
+
+    static get MAX_ROWS() {
+        return 500;
+    }
+
+    /**
+     * Rows sent per post.createBatch request
+     */
+    static get BATCH_SIZE() {
+        return 50;
+    }
+
+    /**
+     * Parse a CSV or TSV file into row objects keyed by column name.
+     * Throws if the header is missing a required column.
+     */
+    static parse(text, fileName = '') {
+        const content = (text || '').replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(content, fileName);
+        const records = this.parseDelimited(content, delimiter);
+        
+        if (records.length === 0) {
+            throw new Error('The file is empty');
+        }
+        
+        const header = records[0].map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+        const missing = this.REQUIRED_COLUMNS.filter(column => !header.includes(column));
+        
+        if (missing.length > 0) {
+            throw new Error(`The header row is missing: ${missing.join(', ')}. Expected columns: ${this.COLUMNS.join(', ')}`);
+        }
+        
+        const rows = records.slice(1);
+        if (rows.length === 0) {
+            throw new Error('The file has a header row but no posts');
+        }
+        
+        if (rows.length > this.MAX_ROWS) {
+            throw new Error(`Import up to ${this.MAX_ROWS} posts at a time; this file has ${rows.length}`);
+        }
+        
+        return rows.map(record => {
+            const row = {};
+            this.COLUMNS.forEach(column => {
+                const index = header.indexOf(column);
+                row[column] = index >= 0 && record[index] !== undefined ? record[index].trim() : '';
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Pick the delimiter from the file extension, or from the header line
+     */
+    static detectDelimiter(text, fileName) {
+        if (/\.tsv$/i.test(fileName)) return '\t';
+        if (/\.csv$/i.test(fileName)) return ',';
+        
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        return (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ',';
+    }
+
+    /**
+     * Split delimited text into records. Quoted fields may contain the
+     * delimiter, line breaks and doubled quotes.
+     */
+    static parseDelimited(text, delimiter) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            
+            if (inQuotes) {
+                if (char === '"' && text[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[index + 1] === '\n') {
+                    index++;
+                }
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        
+        // Skip blank lines
+        return records.filter(values => values.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Resolve a platform cell, accepting IDs or display names
+     */
+    static resolvePlatform(value) {
+        const text = (value || '').trim().toLowerCase();
+        return PlatformRegistry.list().find(platform =>
+            platform === text || PlatformRegistry.getDisplayName(platform).toLowerCase() === text
+        ) || null;
+    }
+
+    /**
+     * Read a schedule cell. "YYYY-MM-DD HH:mm" is wall-clock time in the row's
+     * zone; values with Z or an offset are absolute. Returns a UTC ISO string or null.
+     */
+    static parseSchedule(value, timeZone) {
+        const text = (value || '').trim();
+        
+        if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(text)) {
+            return Utils.zonedTimeToUtc(text.replace(' ', 'T'), timeZone);
+        }
+        
+        if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+            const date = new Date(text);
+            return isNaN(date.getTime()) ? null : date.toISOString();
+        }
+        
+        return null;
+    }
+
+    /**
+     * Check one row with the composer's rules. Returns field errors and, when
+     * valid, the post to send.
+     */
+    static validateRow(row, options = {}) {
+        const errors = {};
+        const platform = this.resolvePlatform(row.platform);
+        const timezone = row.timezone || options.defaultTimezone;
+        
+        if (!row.platform) {
+            errors.platform = 'Platform is required';
+        } else if (!platform) {
+            errors.platform = `Unknown platform. Use one of: ${PlatformRegistry.list().join(', ')}`;
+        } else if (options.connectedPlatforms && !options.connectedPlatforms.includes(platform)) {
+            errors.platform = `${PlatformRegistry.getDisplayName(platform)} is not connected`;
+        }
+        
+        if (!row.message || row.message.trim().length === 0) {
+            errors.message = 'Message is required';
+        } else if (platform) {
+            const length = PlatformRegistry.countCharacters(platform, row.message);
+            const limit = PlatformRegistry.getCharLimit(platform);
+            
+            const hashtags = PlatformRegistry.countHashtags(row.message);
+            const hashtagLimit = PlatformRegistry.getHashtagLimit(platform);
+            
+            if (length > limit) {
+                errors.message = `${length}/${limit} characters, too long for ${PlatformRegistry.getDisplayName(platform)}`;
+            } else if (hashtagLimit !== null && hashtags > hashtagLimit) {
+                errors.message = `${hashtags}/${hashtagLimit} hashtags, too many for ${PlatformRegistry.getDisplayName(platform)}`;
+            }
+        }
+        
+        if (row.media_url && !Utils.isValidUrl(row.media_url)) {
+            errors.media_url = 'Media URL must start with http:// or https://';
+        }
+        
+        if (!Utils.isValidTimezone(timezone)) {
+            errors.timezone = 'Unknown time zone, e.g. Africa/Lagos';
+        }
+        
+        let schedule = null;
+        if (!row.schedule) {
+            errors.schedule = 'Schedule time is required';
+        } else if (!errors.timezone) {
+            schedule = this.parseSchedule(row.schedule, timezone);
+            
+            if (!schedule) {
+                errors.schedule = 'Use YYYY-MM-DD HH:mm';
+            } else if (new Date(schedule) < new Date()) {
+                errors.schedule = 'Schedule time must be in the future';
+            }
+        }
+        
+        const isValid = Object.keys(errors).length === 0;
+        
+        return {
+            isValid: isValid,
+            errors: errors,
+            post: isValid ? {
+                platform: platform,
+                message: row.message,
+                media_url: row.media_url || null,
+                schedule: schedule,
+                timezone: timezone
+            } : null
+        };
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * calendar.js - Content Calendar
+ * Date ranges and day grouping for the month, week and day calendar views.
+ * Days are YYYY-MM-DD keys in the viewer's time zone.
+ */
+
+class ContentCalendar {
+    static get VIEWS() {
+        return ['month', 'week', 'day'];
+    }
+
+    static get WEEKDAY_NAMES() {
+        return ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    }
+
+    /**
+     * Get the day key an instant falls on in a time zone
+     */
+    static getDayKey(dateString, timeZone) {
+        return Utils.formatDateTimeLocal(dateString, timeZone).slice(0, 10);
+    }
+
+    /**
+     * Get today's day key in a time zone
+     */
+    static today(timeZone) {
+        return this.getDayKey(new Date(), timeZone);
+    }
+
+    /**
+     * Move a day key by a number of days
+     */
+    static addDays(dayKey, days) {
+        const date = this._parseKey(dayKey);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Move a day key by a number of months, clamping to the end of shorter months
+     */
+    static addMonths(dayKey, months) {
+        const date = this._parseKey(dayKey);
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        
+        target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+        return target.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Step the anchor day one page forwards or backwards in a view
+     */
+    static shift(view, dayKey, direction) {
+        if (view === 'month') return this.addMonths(dayKey, direction);
+        if (view === 'week') return this.addDays(dayKey, direction * 7);
+        return this.addDays(dayKey, direction);
+    }
+
+    /**
+     * Get the days shown by a view around an anchor day. Month views are padded
+     * to whole Monday-to-Sunday weeks.
+     */
+    static getDays(view, dayKey) {
+        let first = dayKey;
+        let last = dayKey;
+        
+        if (view === 'month') {
+            first = this.startOfWeek(`${dayKey.slice(0, 8)}01`);
+            last = this.addDays(this.startOfWeek(this.addDays(this.addMonths(`${dayKey.slice(0, 8)}01`, 1), -1)), 6);
+        } else if (view === 'week') {
+            first = this.startOfWeek(dayKey);
+            last = this.addDays(first, 6);
+        }
+        
+        const days = [];
+        for (let day = first; day <= last; day = this.addDays(day, 1)) {
+            days.push(day);
+        }
+        
+        return days;
+    }
+
+    /**
+     * Get the UTC range covering a view, for the post.list date filter
+     */
+    static getRange(view, dayKey, timeZone) {
+        const days = this.getDays(view, dayKey);
+        
+        return {
+            from: Utils.zonedTimeToUtc(`${days[0]}T00:00`, timeZone),
+            to: Utils.zonedTimeToUtc(`${this.addDays(days[days.length - 1], 1)}T00:00`, timeZone)
+        };
+    }
+
+    static startOfWeek(dayKey) {
+        return this.addDays(dayKey, -this.getWeekdayIndex(dayKey));
+    }
+
+    /**
+     * Position of a day in a Monday-first week (0 = Monday)
+     */
+    static getWeekdayIndex(dayKey) {
+        return (this._parseKey(dayKey).getUTCDay() + 6) % 7;
+    }
+
+    /**
+     * Group posts by the day (and optionally hour) they are scheduled for
+     */
+    static groupPosts(posts, timeZone, byHour = false) {
+        const groups = {};
+        
+        posts.forEach(post => {
+            const local = Utils.formatDateTimeLocal(post.scheduled_time, timeZone);
+            if (!local) return;
+            
+            const key = byHour ? local.slice(0, 13) : local.slice(0, 10);
+            (groups[key] = groups[key] || []).push(post);
+        });
+        
+        Object.values(groups).forEach(group => {
+            group.sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time));
+        });
+        
+        return groups;
+    }
+
+    /**
+     * Title for the period a view shows, e.g. "October 2026"
+     */
+    static getTitle(view, dayKey) {
+        const date = this._parseKey(dayKey);
+        const format = options => date.toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+        
+        if (view === 'month') {
+            return format({ month: 'long', year: 'numeric' });
+        }
+        
+        if (view === 'week') {
+            const days = this.getDays('week', dayKey);
+            const first = this._parseKey(days[0]).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+            const last = this._parseKey(days[6]).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' });
+            return `${first} – ${last}`;
+        }
+        
+        return format({ weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    }
+
+    static _parseKey(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+}
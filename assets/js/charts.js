@@ -0,0 +1,204 @@
+/**
+ * charts.js - SVG Charts
+ * Small dependency-free bar, line and ranking charts rendered as SVG markup.
+ * Colours come from CSS classes so charts follow the dashboard theme.
+ */
+
+class SvgCharts {
+    static get WIDTH() {
+        return 600;
+    }
+
+    /**
+     * Vertical bar chart. Each item is { label, values: { [seriesKey]: number } };
+     * several series are stacked.
+     */
+    static barChart(data, options = {}) {
+        const series = options.series || [{ key: 'value', label: 'Posts', className: 'primary' }];
+        const height = options.height || 200;
+        const plot = this._getPlotArea(height);
+        
+        const totals = data.map(item => series.reduce((sum, entry) => sum + (item.values[entry.key] || 0), 0));
+        if (data.length === 0 || totals.every(total => total === 0)) {
+            return this.empty();
+        }
+        
+        const max = this._niceMax(Math.max(...totals));
+        const slot = plot.width / data.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        const scale = value => (value / max) * plot.height;
+        
+        const bars = data.map((item, index) => {
+            const x = plot.left + index * slot + (slot - barWidth) / 2;
+            let y = plot.top + plot.height;
+            
+            return series.map(entry => {
+                const value = item.values[entry.key] || 0;
+                if (value === 0) return '';
+                
+                const barHeight = scale(value);
+                y -= barHeight;
+                
+                return `
+                    <rect class="chart-bar ${entry.className}" x="${x.toFixed(1)}" y="${y.toFixed(1)}"
+                        width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}">
+                        <title>${Utils.sanitizeHtml(`${item.label}: ${value} ${entry.label.toLowerCase()}`)}</title>
+                    </rect>
+                `;
+            }).join('');
+        }).join('');
+        
+        return this._svg(height, `
+            ${this._renderGrid(plot, max, options.suffix)}
+            ${bars}
+            ${this._renderLabels(plot, data.map(item => item.label), slot)}
+        `) + this._renderLegend(series);
+    }
+
+    /**
+     * Line chart of { label, value } points. Null values leave a gap.
+     */
+    static lineChart(points, options = {}) {
+        const height = options.height || 200;
+        const plot = this._getPlotArea(height);
+        
+        if (points.length === 0 || points.every(point => point.value === null)) {
+            return this.empty();
+        }
+        
+        const max = options.max || this._niceMax(Math.max(...points.map(point => point.value || 0)));
+        const slot = plot.width / points.length;
+        const x = index => plot.left + index * slot + slot / 2;
+        const y = value => plot.top + plot.height - (value / max) * plot.height;
+        
+        // Break the line wherever a point has no value
+        const segments = [];
+        let segment = [];
+        points.forEach((point, index) => {
+            if (point.value === null) {
+                if (segment.length > 0) segments.push(segment);
+                segment = [];
+            } else {
+                segment.push(`${x(index).toFixed(1)},${y(point.value).toFixed(1)}`);
+            }
+        });
+        if (segment.length > 0) segments.push(segment);
+        
+        const dots = points.map((point, index) => point.value === null ? '' : `
+            <circle class="chart-dot ${options.className || 'primary'}" cx="${x(index).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3">
+                <title>${Utils.sanitizeHtml(`${point.label}: ${point.value}${options.suffix || ''}`)}</title>
+            </circle>
+        `).join('');
+        
+        return this._svg(height, `
+            ${this._renderGrid(plot, max, options.suffix)}
+            ${segments.map(coordinates => `<polyline class="chart-line ${options.className || 'primary'}" points="${coordinates.join(' ')}"></polyline>`).join('')}
+            ${dots}
+            ${this._renderLabels(plot, points.map(point => point.label), slot)}
+        `);
+    }
+
+    /**
+     * Ranked horizontal bars for { label, value } items
+     */
+    static rankingChart(items, options = {}) {
+        if (items.length === 0) {
+            return this.empty(options.emptyText);
+        }
+        
+        const rowHeight = 28;
+        const labelWidth = 220;
+        const valueWidth = 48;
+        const height = items.length * rowHeight;
+        const max = Math.max(...items.map(item => item.value));
+        const barSpace = this.WIDTH - labelWidth - valueWidth;
+        
+        const rows = items.map((item, index) => {
+            const y = index * rowHeight;
+            const barWidth = Math.max(2, (item.value / max) * barSpace);
+            
+            return `
+                <text class="chart-label" x="0" y="${y + 18}">${Utils.sanitizeHtml(Utils.truncateText(item.label, 32))}<title>${Utils.sanitizeHtml(item.label)}</title></text>
+                <rect class="chart-bar ${options.className || 'primary'}" x="${labelWidth}" y="${y + 6}" width="${barWidth.toFixed(1)}" height="${rowHeight - 12}"></rect>
+                <text class="chart-label" x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + 18}">${item.value}</text>
+            `;
+        }).join('');
+        
+        return this._svg(height, rows);
+    }
+
+    static empty(text = 'No data for this period') {
+        return `<div class="chart-empty">${Utils.sanitizeHtml(text)}</div>`;
+    }
+
+    static _svg(height, content) {
+        return `
+            <svg class="chart" viewBox="0 0 ${this.WIDTH} ${height}" role="img" xmlns="http://www.w3.org/2000/svg">
+                ${content}
+            </svg>
+        `;
+    }
+
+    static _getPlotArea(height) {
+        const padding = { top: 10, right: 10, bottom: 24, left: 40 };
+        
+        return {
+            left: padding.left,
+            top: padding.top,
+            width: this.WIDTH - padding.left - padding.right,
+            height: height - padding.top - padding.bottom
+        };
+    }
+
+    /**
+     * Horizontal grid lines with values at zero, half and the top of the scale
+     */
+    static _renderGrid(plot, max, suffix = '') {
+        return [0, 0.5, 1].map(fraction => {
+            const y = plot.top + plot.height - fraction * plot.height;
+            const value = Math.round(max * fraction * 10) / 10;
+            
+            return `
+                <line class="chart-grid" x1="${plot.left}" y1="${y}" x2="${plot.left + plot.width}" y2="${y}"></line>
+                <text class="chart-axis" x="${plot.left - 6}" y="${y + 4}" text-anchor="end">${value}${suffix}</text>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Category labels under the plot, thinned out so they don't overlap
+     */
+    static _renderLabels(plot, labels, slot) {
+        const step = Math.ceil(labels.length / 12);
+        
+        return labels.map((label, index) => index % step !== 0 ? '' : `
+            <text class="chart-axis" x="${(plot.left + index * slot + slot / 2).toFixed(1)}" y="${plot.top + plot.height + 16}" text-anchor="middle">
+                ${Utils.sanitizeHtml(label)}
+            </text>
+        `).join('');
+    }
+
+    static _renderLegend(series) {
+        if (series.length < 2) return '';
+        
+        return `
+            <div class="chart-legend">
+                ${series.map(entry => `
+                    <span><span class="chart-swatch ${entry.className}"></span>${Utils.sanitizeHtml(entry.label)}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Round a maximum up to 1, 2 or 5 times a power of ten
+     */
+    static _niceMax(value) {
+        if (value <= 0) return 1;
+        
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+        
+        return step * magnitude;
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * config.js - App Configuration
+ * Settings that differ between deployments. Each deployment provides them in
+ * assets/js/env.js (not committed; copy env.example.js), which sets
+ * window.AUTOPOSTR_ENV before this file loads.
+ *
+ * Everything here is visible to every visitor. Secrets stay on the backend;
+ * the browser authenticates with the per-user session token from login.
+ */
+
+/**
+ * Defaults for settings a deployment doesn't set.
+ *
+ * environment        - name of the deployment, e.g. 'production' or 'development'
+ * apiBaseUrl         - Apps Script web app URL that serves the API
+ * oauthClients       - public OAuth client ID per platform; platforms without
+ *                      one are connected by pasting a token
+ * oauthAuthorizeUrls - authorization endpoint per platform, overriding the one
+ *                      in platforms.js (e.g. the mock server in tools/)
+ * oauthRedirectUri   - where providers send the user back; defaults to
+ *                      oauth-callback.html next to the dashboard
+ */
+const CONFIG_DEFAULTS = {
+    environment: 'production',
+    apiBaseUrl: null,
+    oauthClients: {},
+    oauthAuthorizeUrls: {},
+    oauthRedirectUri: null
+};
+
+class AppConfig {
+    /**
+     * Global the environment file assigns its settings to
+     */
+    static get ENV_GLOBAL() {
+        return 'AUTOPOSTR_ENV';
+    }
+
+    static get(key) {
+        const env = (typeof window !== 'undefined' && window[this.ENV_GLOBAL]) || {};
+        return Object.prototype.hasOwnProperty.call(env, key) ? env[key] : CONFIG_DEFAULTS[key];
+    }
+
+    /**
+     * Get a setting the app can't work without
+     */
+    static require(key) {
+        const value = this.get(key);
+        
+        if (value === null || value === undefined || value === '') {
+            const error = new Error(`"${key}" is not configured. Copy assets/js/env.example.js to assets/js/env.js and set it.`);
+            error.code = 'CONFIG_MISSING';
+            throw error;
+        }
+        
+        return value;
+    }
+}
@@ -7,10 +7,69 @@ class Dashboard {
     constructor() {
         this.currentUser = null;
         this.currentSection = 'overview';
+        this.userTimezone = null;
         this.userStats = null;
         this.posts = [];
         this.tokens = [];
         
+        // Post history state
+        this.historyPosts = [];
+        this.historyFilters = {};
+        this.historyPage = 1;
+        this.historyPageSize = 20;
+        this.historyTotal = null;
+        this.expandedPostId = null;
+        this.timeDisplayMode = 'viewer';
+        
+        // Posting queues by platform, loaded on first use
+        this.queues = null;
+        
+        // Recent finished posts behind the best-time suggestions, loaded on first use,
+        // and whether the user has picked a schedule time themselves
+        this.bestTimePosts = null;
+        this.scheduleTimeEdited = false;
+        
+        // Rows loaded from a bulk import file
+        this.bulkRows = [];
+        
+        // Content calendar state; the anchor day is a YYYY-MM-DD key in the user's zone
+        this.calendarView = 'month';
+        this.calendarDate = null;
+        this.calendarPosts = [];
+        // Bumped per load so a slow response for an earlier view is dropped
+        this.calendarRequest = 0;
+        
+        // Posts scheduled for today, counted against the plan's daily limit
+        this.usedToday = null;
+        
+        // Analytics period in days, how the timeline is grouped, and the last stats loaded
+        this.analyticsRange = 30;
+        this.analyticsGrouping = 'day';
+        this.analytics = null;
+        
+        // Post currently loaded into the schedule form for editing, and whether
+        // the change covers that one post or its whole recurring series
+        this.editingPost = null;
+        this.editingScope = 'occurrence';
+        
+        // Ordered media attachments for the post being composed, the uploads
+        // still waiting or running, and the controller that cancels them
+        this.attachments = [];
+        this.mediaUploadQueue = Promise.resolve();
+        this.mediaUploadController = null;
+        
+        // Platform whose token is being rotated in the connection form
+        this.reconnectingPlatform = null;
+        this.pendingDisconnect = null;
+        
+        // Whether the connection form shows token fields for a platform that
+        // also offers OAuth sign-in, and the popup being watched
+        this.manualTokenEntry = false;
+        this.oauthPopupTimer = null;
+        
+        // OAuth tokens already asked to renew on this page load
+        this.refreshedTokens = new Set();
+        
         this.init();
     }
 
@@ -21,10 +80,54 @@ class Dashboard {
         }
 
         this.currentUser = Auth.getCurrentUser();
+        this.userTimezone = this.loadTimezonePreference();
+        this.populatePlatformSelects();
+        this.populateTimezoneSelect();
         this.bindEvents();
         await this.loadInitialData();
         this.showSection('overview');
         this.updateUserInfo();
+        this.checkOAuthRedirect();
+    }
+
+    populatePlatformSelects() {
+        ['connectPlatform', 'filterPlatform'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) {
+                PlatformRegistry.renderOptions(select);
+            }
+        });
+    }
+
+    populateTimezoneSelect() {
+        const timezones = Utils.getTimezones();
+        if (!timezones.includes(this.userTimezone)) {
+            timezones.unshift(this.userTimezone);
+        }
+        
+        ['scheduleTimezone', 'accountTimezone'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            
+            select.innerHTML = timezones.map(zone => `<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`).join('');
+            select.value = this.userTimezone;
+        });
+    }
+
+    loadTimezonePreference() {
+        return localStorage.getItem(`timezone_${this.currentUser.email}`) ||
+            this.currentUser.timezone ||
+            Utils.getBrowserTimezone();
+    }
+
+    saveTimezonePreference(timeZone) {
+        this.userTimezone = timeZone;
+        localStorage.setItem(`timezone_${this.currentUser.email}`, timeZone);
+    }
+
+    getScheduleTimezone() {
+        const select = document.getElementById('scheduleTimezone');
+        return (select && select.value) || this.userTimezone;
     }
 
     bindEvents() {
@@ -44,6 +147,14 @@ class Dashboard {
         
         // Real-time updates
         this.bindRealTimeUpdates();
+        
+        // Plan limits reported by the backend
+        document.addEventListener('planlimit', (e) => this.showUpgradePrompt(e.detail.message));
+        
+        const upgradePromptClose = document.getElementById('upgradePromptClose');
+        if (upgradePromptClose) {
+            upgradePromptClose.addEventListener('click', () => this.hideUpgradePrompt());
+        }
     }
 
     bindNavigation() {
@@ -70,18 +181,20 @@ class Dashboard {
                 const section = card.dataset.section;
                 if (section) {
                     this.showSection(section);
-                    
-                    // Update navigation
-                    const navItem = document.querySelector(`[data-section="${section}"]`);
-                    if (navItem) {
-                        document.querySelectorAll('.nav-item').forEach(nav => nav.classList.remove('active'));
-                        navItem.classList.add('active');
-                    }
+                    this.setActiveNav(section);
                 }
             });
         });
     }
 
+    setActiveNav(section) {
+        const navItem = document.querySelector(`.nav-item[data-section="${section}"]`);
+        if (navItem) {
+            document.querySelectorAll('.nav-item').forEach(nav => nav.classList.remove('active'));
+            navItem.classList.add('active');
+        }
+    }
+
     bindForms() {
         // Schedule form
         const scheduleForm = document.getElementById('scheduleForm');
@@ -89,18 +202,133 @@ class Dashboard {
             scheduleForm.addEventListener('submit', (e) => this.handleSchedulePost(e));
         }
         
+        // Place the post in the next free queue slot
+        const queueBtn = document.getElementById('queueBtn');
+        if (queueBtn) {
+            queueBtn.addEventListener('click', () => this.handleAddToQueue());
+        }
+        
+        const bestTimeBtn = document.getElementById('bestTimeBtn');
+        if (bestTimeBtn) {
+            bestTimeBtn.addEventListener('click', () => this.handleScheduleAtBestTime());
+        }
+        
+        // Leave edit mode without saving
+        const cancelEditBtn = document.getElementById('cancelEditBtn');
+        if (cancelEditBtn) {
+            cancelEditBtn.addEventListener('click', () => this.exitEditMode());
+        }
+        
         // Connection form
         const connectionForm = document.getElementById('connectionForm');
         if (connectionForm) {
             connectionForm.addEventListener('submit', (e) => this.handleConnectPlatform(e));
         }
         
+        // Verify credentials without saving them
+        const testConnectionBtn = document.getElementById('testConnectionBtn');
+        if (testConnectionBtn) {
+            testConnectionBtn.addEventListener('click', () => this.handleTestConnection());
+        }
+        
+        // Leave reconnect mode without saving
+        const cancelReconnectBtn = document.getElementById('cancelReconnectBtn');
+        if (cancelReconnectBtn) {
+            cancelReconnectBtn.addEventListener('click', () => this.exitReconnectMode());
+        }
+        
         // Platform selection change
         const platformSelect = document.getElementById('connectPlatform');
         if (platformSelect) {
             platformSelect.addEventListener('change', (e) => this.handlePlatformChange(e));
         }
         
+        // Outcomes of OAuth sign-in popups
+        OAuthConnect.listen(result => this.handleOAuthResult(result));
+        
+        // Platform picker selection
+        const platformPicker = document.getElementById('platformPicker');
+        if (platformPicker) {
+            platformPicker.addEventListener('change', () => {
+                this.renderPlatformOverrides();
+                this.updateCharCount();
+                this.checkAttachedMedia();
+                
+                // Follow the suggestions until a time is picked by hand
+                if (this.bestTimePosts && !this.editingPost && !this.scheduleTimeEdited) {
+                    this.applySuggestedTime();
+                }
+                this.renderBestTimes();
+            });
+        }
+        
+        // Time zone selection
+        const scheduleTimezone = document.getElementById('scheduleTimezone');
+        if (scheduleTimezone) {
+            scheduleTimezone.addEventListener('change', (e) => {
+                this.saveTimezonePreference(e.target.value);
+                this.updateScheduleTimeMin();
+                this.updateRecurrencePreview();
+                this.renderBestTimes();
+            });
+        }
+        
+        // Recurrence rule and its preview
+        const recurrenceGroup = document.getElementById('recurrenceGroup');
+        if (recurrenceGroup) {
+            recurrenceGroup.addEventListener('change', () => this.updateRecurrenceOptions());
+            recurrenceGroup.addEventListener('input', Utils.debounce(() => this.updateRecurrencePreview(), 300));
+        }
+        
+        const scheduleTime = document.getElementById('scheduleTime');
+        if (scheduleTime) {
+            scheduleTime.addEventListener('change', () => this.updateRecurrencePreview());
+            scheduleTime.addEventListener('input', () => {
+                this.scheduleTimeEdited = true;
+            });
+        }
+        
+        // Best-time suggestions fill in the schedule time
+        const bestTimes = document.getElementById('bestTimes');
+        if (bestTimes) {
+            bestTimes.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-time]');
+                if (chip) {
+                    this.setScheduleTime(chip.dataset.time);
+                }
+            });
+        }
+        
+        // Post history time display
+        const timeDisplay = document.getElementById('timeDisplay');
+        if (timeDisplay) {
+            timeDisplay.addEventListener('change', (e) => {
+                this.timeDisplayMode = e.target.value;
+                this.renderPostsList();
+            });
+        }
+        
+        // Media file selection
+        const mediaFile = document.getElementById('mediaFile');
+        if (mediaFile) {
+            mediaFile.addEventListener('change', (e) => this.handleMediaSelect(e));
+        }
+        
+        // Thread splitting changes both the counter and the preview
+        const splitThread = document.getElementById('splitThread');
+        if (splitThread) {
+            splitThread.addEventListener('change', () => {
+                this.updateCharCount();
+                this.updatePostPreview();
+            });
+        }
+        
+        // Live length checks for per-platform text
+        const platformOverrides = document.getElementById('platformOverrides');
+        if (platformOverrides) {
+            platformOverrides.addEventListener('input', () => this.updateCharCount());
+        }
+        
         // Preview button
         const previewBtn = document.getElementById('previewBtn');
         if (previewBtn) {
@@ -112,6 +340,121 @@ class Dashboard {
         if (messageInput) {
             messageInput.addEventListener('input', () => this.updateCharCount());
         }
+        
+        // Post history filters
+        const postsFilterForm = document.getElementById('postsFilterForm');
+        if (postsFilterForm) {
+            postsFilterForm.addEventListener('submit', (e) => this.handlePostsFilter(e));
+            postsFilterForm.addEventListener('reset', () => {
+                // Wait for the browser to clear the fields before reading them
+                setTimeout(() => this.applyPostsFilters(postsFilterForm), 0);
+            });
+        }
+        
+        // Post history pagination
+        const postsPrevBtn = document.getElementById('postsPrevBtn');
+        if (postsPrevBtn) {
+            postsPrevBtn.addEventListener('click', () => this.changePostsPage(-1));
+        }
+        
+        const postsNextBtn = document.getElementById('postsNextBtn');
+        if (postsNextBtn) {
+            postsNextBtn.addEventListener('click', () => this.changePostsPage(1));
+        }
+        
+        // CSV and JSON exports
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.export === 'stats') {
+                    this.exportStats(button.dataset.format);
+                } else {
+                    this.exportPosts(button.dataset.format);
+                }
+            });
+        });
+        
+        // Bulk import
+        const bulkFile = document.getElementById('bulkFile');
+        if (bulkFile) {
+            bulkFile.addEventListener('change', (e) => this.handleBulkFile(e));
+        }
+        
+        const bulkErrorsOnly = document.getElementById('bulkErrorsOnly');
+        if (bulkErrorsOnly) {
+            bulkErrorsOnly.addEventListener('change', () => this.renderBulkRows());
+        }
+        
+        const bulkClearBtn = document.getElementById('bulkClearBtn');
+        if (bulkClearBtn) {
+            bulkClearBtn.addEventListener('click', () => this.clearBulkImport());
+        }
+        
+        const bulkSubmitBtn = document.getElementById('bulkSubmitBtn');
+        if (bulkSubmitBtn) {
+            bulkSubmitBtn.addEventListener('click', () => this.submitBulkImport());
+        }
+        
+        // Calendar navigation
+        const calendarPrevBtn = document.getElementById('calendarPrevBtn');
+        if (calendarPrevBtn) {
+            calendarPrevBtn.addEventListener('click', () => this.changeCalendarPage(-1));
+        }
+        
+        const calendarNextBtn = document.getElementById('calendarNextBtn');
+        if (calendarNextBtn) {
+            calendarNextBtn.addEventListener('click', () => this.changeCalendarPage(1));
+        }
+        
+        const calendarTodayBtn = document.getElementById('calendarTodayBtn');
+        if (calendarTodayBtn) {
+            calendarTodayBtn.addEventListener('click', () => this.showCalendarDay(ContentCalendar.today(this.userTimezone), this.calendarView));
+        }
+        
+        const calendarViews = document.getElementById('calendarViews');
+        if (calendarViews) {
+            calendarViews.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-view]');
+                if (button) {
+                    this.showCalendarDay(this.calendarDate, button.dataset.view);
+                }
+            });
+        }
+        
+        // Account profile and deletion
+        const accountProfileForm = document.getElementById('accountProfileForm');
+        if (accountProfileForm) {
+            accountProfileForm.addEventListener('submit', (e) => this.handleProfileUpdate(e));
+        }
+        
+        const accountName = document.getElementById('accountName');
+        if (accountName) {
+            accountName.addEventListener('input', () => this.clearFieldError('accountName'));
+        }
+        
+        const accountDeleteBtn = document.getElementById('accountDeleteBtn');
+        if (accountDeleteBtn) {
+            accountDeleteBtn.addEventListener('click', () => this.handleDeleteAccount());
+        }
+        
+        // Analytics controls
+        const analyticsRange = document.getElementById('analyticsRange');
+        if (analyticsRange) {
+            analyticsRange.addEventListener('change', () => {
+                this.analyticsRange = parseInt(analyticsRange.value, 10);
+                this.loadAnalytics();
+            });
+        }
+        
+        const analyticsGrouping = document.getElementById('analyticsGrouping');
+        if (analyticsGrouping) {
+            analyticsGrouping.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-grouping]');
+                if (button) {
+                    this.analyticsGrouping = button.dataset.grouping;
+                    this.renderAnalytics();
+                }
+            });
+        }
     }
 
     bindRealTimeUpdates() {
@@ -135,7 +478,8 @@ class Dashboard {
             await Promise.all([
                 this.loadOverviewData(),
                 this.loadUserTokens(),
-                this.loadUserPosts()
+                this.loadUserPosts(),
+                this.loadQuotaUsage()
             ]);
             
         } catch (error) {
@@ -165,14 +509,48 @@ class Dashboard {
             const result = await API.getUserTokens(this.currentUser.email);
             
             if (result.success) {
-                this.tokens = result.tokens;
+                this.tokens = (result.tokens || []).map(token => TokenHealth.sanitize(token));
                 this.updatePlatformsList();
+                this.refreshExpiringTokens();
             }
         } catch (error) {
             console.error('Failed to load tokens:', error);
         }
     }
 
+    /**
+     * Renew OAuth tokens that are close to expiring. The backend renews them
+     * on its own schedule too; this catches any it hasn't got to yet.
+     */
+    async refreshExpiringTokens() {
+        const expiring = this.tokens.filter(token =>
+            TokenHealth.isRefreshable(token) &&
+            TokenHealth.getStatus(token) === 'expiring' &&
+            !this.refreshedTokens.has(token.platform)
+        );
+        
+        if (expiring.length === 0) return;
+        
+        let renewed = 0;
+        for (const token of expiring) {
+            this.refreshedTokens.add(token.platform);
+            
+            try {
+                const result = await API.refreshToken(token.platform);
+                if (result.success) {
+                    renewed++;
+                }
+            } catch (error) {
+                console.error(`Failed to renew ${token.platform} token:`, error);
+            }
+        }
+        
+        if (renewed > 0) {
+            API.clearUserCache(this.currentUser.email);
+            await this.loadUserTokens();
+        }
+    }
+
     async loadUserPosts() {
         try {
             const result = await API.getUserPosts(this.currentUser.email, { limit: 50 });
@@ -215,6 +593,272 @@ class Dashboard {
             case 'posts':
                 this.initializePostsList();
                 break;
+            case 'calendar':
+                this.initializeCalendar();
+                break;
+            case 'queues':
+                this.initializeQueues();
+                break;
+            case 'analytics':
+                this.loadAnalytics();
+                break;
+            case 'account':
+                this.loadAccount();
+                break;
+        }
+    }
+
+    async loadAccount() {
+        this.renderAccount(null);
+        
+        try {
+            const result = await API.getUserProfile(this.currentUser.email);
+            const profile = result.profile || {};
+            
+            if (profile.user) {
+                Auth.updateCurrentUser(profile.user);
+                this.currentUser = Auth.getCurrentUser();
+            }
+            
+            // Prefer the backend's count; otherwise count today's posts ourselves
+            if (profile.usage && typeof profile.usage.today === 'number') {
+                this.usedToday = profile.usage.today;
+                this.updateQuotaDisplay();
+            } else {
+                await this.loadQuotaUsage();
+            }
+            
+            this.renderAccount(this.usedToday);
+        } catch (error) {
+            console.error('Failed to load account:', error);
+            Utils.showNotification('Failed to load account details', 'error');
+        }
+    }
+
+    renderAccount(usedToday) {
+        const user = this.currentUser;
+        const notifications = user.notifications || {};
+        const form = document.getElementById('accountProfileForm');
+        
+        document.getElementById('accountName').value = user.name || '';
+        document.getElementById('accountEmail').value = user.email;
+        document.getElementById('accountTimezone').value = this.userTimezone;
+        form.elements.notify_failures.checked = notifications.failures !== false;
+        form.elements.notify_daily_summary.checked = !!notifications.daily_summary;
+        form.elements.notify_weekly_report.checked = !!notifications.weekly_report;
+        
+        // Plan and trial
+        const planBadge = document.getElementById('accountPlan');
+        planBadge.textContent = PlanEntitlements.getPlanName(user);
+        planBadge.className = `badge ${user.plan}`;
+        
+        let planNote = `${PlanEntitlements.getDailyLimit(user)} posts per day`;
+        if (user.plan === 'trial' && user.trialEnd) {
+            const daysLeft = Math.ceil((new Date(user.trialEnd) - Date.now()) / (24 * 60 * 60 * 1000));
+            const endDate = new Date(user.trialEnd).toLocaleDateString();
+            planNote = daysLeft > 0 ?
+                `Trial ends ${endDate} (${daysLeft} day${daysLeft === 1 ? '' : 's'} left)` :
+                `Trial ended ${endDate}`;
+        }
+        document.getElementById('accountPlanNote').textContent = planNote;
+        
+        // Today's usage against the plan's daily limit
+        const limit = PlanEntitlements.getDailyLimit(user);
+        const usageBar = document.getElementById('accountUsageBar');
+        
+        document.getElementById('accountUsageText').textContent = usedToday === null ? `… / ${limit}` : `${usedToday} / ${limit}`;
+        usageBar.style.width = `${Math.min(100, ((usedToday || 0) / limit) * 100)}%`;
+        usageBar.className = `usage-bar-fill${usedToday >= limit ? ' error' : usedToday >= limit * 0.8 ? ' warning' : ''}`;
+    }
+
+    async handleProfileUpdate(event) {
+        event.preventDefault();
+        
+        const form = event.target;
+        const name = form.elements.name.value.trim();
+        
+        if (name.length < 2 || name.length > 100) {
+            this.showFieldError('accountName', 'Name must be between 2 and 100 characters');
+            return;
+        }
+        
+        const changes = {
+            name: name,
+            timezone: form.elements.timezone.value,
+            notifications: {
+                failures: form.elements.notify_failures.checked,
+                daily_summary: form.elements.notify_daily_summary.checked,
+                weekly_report: form.elements.notify_weekly_report.checked
+            }
+        };
+        
+        try {
+            Utils.showLoading(document.getElementById('accountSaveBtn'));
+            
+            const result = await API.updateUser({ email: this.currentUser.email, ...changes });
+            
+            if (result.success) {
+                Auth.updateCurrentUser(result.user || changes);
+                this.currentUser = Auth.getCurrentUser();
+                
+                // The saved zone becomes the default for new posts
+                this.saveTimezonePreference(changes.timezone);
+                this.populateTimezoneSelect();
+                API.clearUserCache(this.currentUser.email);
+                
+                this.updateUserInfo();
+                Utils.showNotification(result.message || 'Profile updated', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to update profile:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading(document.getElementById('accountSaveBtn'));
+        }
+    }
+
+    async handleDeleteAccount() {
+        const email = this.currentUser.email;
+        const typed = document.getElementById('accountDeleteConfirm').value.trim().toLowerCase();
+        
+        if (typed !== email.toLowerCase()) {
+            this.showFieldError('accountDeleteConfirm', 'Type your email exactly to confirm');
+            return;
+        }
+        this.clearFieldError('accountDeleteConfirm');
+        
+        if (!confirm('Delete your account, tokens and posts for good?')) {
+            return;
+        }
+        
+        try {
+            Utils.showLoading(document.getElementById('accountDeleteBtn'));
+            
+            const result = await API.deleteUser(email);
+            
+            if (result.success) {
+                localStorage.removeItem(`timezone_${email}`);
+                Utils.showNotification(result.message || 'Your account has been deleted', 'success');
+                Auth.logout();
+            }
+        } catch (error) {
+            console.error('Failed to delete account:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading(document.getElementById('accountDeleteBtn'));
+        }
+    }
+
+    async loadQuotaUsage() {
+        try {
+            const range = ContentCalendar.getRange('day', ContentCalendar.today(this.userTimezone), this.userTimezone);
+            const posts = await API.getAllUserPosts(this.currentUser.email, range);
+            
+            this.usedToday = posts.length;
+            this.updateQuotaDisplay();
+        } catch (error) {
+            console.error('Failed to load quota usage:', error);
+        }
+    }
+
+    updateQuotaDisplay() {
+        const quotaElement = document.getElementById('userQuota');
+        if (!quotaElement || this.usedToday === null) return;
+        
+        const limit = PlanEntitlements.getDailyLimit(this.currentUser);
+        const remaining = PlanEntitlements.getRemaining(this.currentUser, this.usedToday);
+        
+        quotaElement.textContent = `${remaining} of ${limit} posts left today`;
+        quotaElement.classList.toggle('exhausted', remaining === 0);
+    }
+
+    /**
+     * UTC times of the posts a schedule form submission would add, one per platform and run
+     */
+    getNewPostTimes(postData) {
+        if (this.editingPost && this.editingScope === 'series') {
+            // The backend rebuilds the series; its runs are already counted
+            return [];
+        }
+        
+        if (this.editingPost) {
+            return [postData.schedule];
+        }
+        
+        // Every run up to the rule's COUNT or UNTIL, capped at the quota window
+        const windowEnd = Date.now() + PlanEntitlements.QUOTA_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+        const runs = postData.rrule ?
+            RecurrenceRule.getOccurrences(
+                postData.rrule,
+                Utils.formatDateTimeLocal(postData.schedule, postData.timezone),
+                postData.timezone,
+                Infinity,
+                windowEnd
+            ) :
+            [postData.schedule];
+        
+        return runs.flatMap(run => postData.platforms.map(() => run));
+    }
+
+    /**
+     * Check new posts against the daily limit before sending them. Posts in
+     * `excludeIds` are being moved, so they don't count where they are now.
+     */
+    async ensureQuota(schedules, excludeIds = []) {
+        const times = schedules.filter(Boolean);
+        if (times.length === 0) return true;
+        
+        const days = times.map(time => ContentCalendar.getDayKey(new Date(time), this.userTimezone)).sort();
+        
+        let posts;
+        try {
+            const allPosts = await API.getAllUserPosts(this.currentUser.email, {
+                from: Utils.zonedTimeToUtc(`${days[0]}T00:00`, this.userTimezone),
+                to: Utils.zonedTimeToUtc(`${ContentCalendar.addDays(days[days.length - 1], 1)}T00:00`, this.userTimezone)
+            });
+            posts = allPosts.filter(post => !excludeIds.map(String).includes(String(post.id)));
+        } catch (error) {
+            // The backend checks the limit as well, so let the request go ahead
+            console.error('Failed to check daily limit:', error);
+            return true;
+        }
+        
+        const check = PlanEntitlements.checkQuota(this.currentUser, posts, times, this.userTimezone);
+        if (!check.allowed) {
+            this.showUpgradePrompt(check.message);
+        }
+        
+        return check.allowed;
+    }
+
+    requireFeature(feature) {
+        const check = PlanEntitlements.checkFeature(this.currentUser, feature);
+        if (!check.allowed) {
+            this.showUpgradePrompt(check.message);
+        }
+        
+        return check.allowed;
+    }
+
+    showUpgradePrompt(message) {
+        const prompt = document.getElementById('upgradePrompt');
+        if (!prompt) {
+            Utils.showNotification(message, 'error');
+            return;
+        }
+        
+        const upgrade = PlanEntitlements.getUpgradeMessage(this.currentUser);
+        document.getElementById('upgradePromptMessage').textContent = upgrade ? `${message} ${upgrade}` : message;
+        document.getElementById('upgradePromptAction').classList.toggle('hidden', !upgrade);
+        
+        prompt.classList.remove('hidden');
+        prompt.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    hideUpgradePrompt() {
+        const prompt = document.getElementById('upgradePrompt');
+        if (prompt) {
+            prompt.classList.add('hidden');
         }
     }
 
@@ -228,10 +872,18 @@ class Dashboard {
         // Update user plan badge
         const userPlanElement = document.getElementById('userPlan');
         if (userPlanElement) {
-            userPlanElement.textContent = this.currentUser.plan.charAt(0).toUpperCase() + this.currentUser.plan.slice(1);
+            userPlanElement.textContent = PlanEntitlements.getPlanName(this.currentUser);
             userPlanElement.className = `badge ${this.currentUser.plan}`;
         }
         
+        this.updateQuotaDisplay();
+        
+        // Nothing to upgrade to on the top plan
+        const upgradeBanner = document.querySelector('.upgrade-banner');
+        if (upgradeBanner) {
+            upgradeBanner.classList.toggle('hidden', !PlanEntitlements.getUpgradeMessage(this.currentUser));
+        }
+        
         // Update form emails
         const formEmails = document.querySelectorAll('input[type="email"][readonly]');
         formEmails.forEach(input => {
@@ -301,8 +953,8 @@ class Dashboard {
         
         activityList.innerHTML = recentPosts.map(post => `
             <div class="activity-item">
-                <div class="activity-icon ${post.status === 'posted' ? 'success' : post.status === 'failed' ? 'error' : 'warning'}">
-                    ${post.status === 'posted' ? '✓' : post.status === 'failed' ? '✗' : '⏳'}
+                <div class="activity-icon ${this.getPostStatusClass(post.status)}">
+                    ${this.getPostStatusIcon(post.status)}
                 </div>
                 <div class="activity-content">
                     <div class="activity-title">
@@ -338,57 +990,242 @@ class Dashboard {
             return;
         }
         
-        platformsList.innerHTML = this.tokens.map(token => `
-            <div class="platform-card">
-                <div class="platform-header">
-                    <div class="platform-icon">${Utils.getPlatformIcon(token.platform)}</div>
-                    <div class="platform-name">${Utils.getPlatformDisplayName(token.platform)}</div>
-                    <div class="platform-status">
-                        <span class="badge success">Connected</span>
+        platformsList.innerHTML = this.tokens.map(token => {
+            const status = TokenHealth.getStatus(token);
+            
+            return `
+                <div class="platform-card token-${status}">
+                    <div class="platform-header">
+                        <div class="platform-icon">${Utils.getPlatformIcon(token.platform)}</div>
+                        <div class="platform-name">${Utils.getPlatformDisplayName(token.platform)}</div>
+                        <div class="platform-status">
+                            <span class="badge ${TokenHealth.getBadge(status)}">${TokenHealth.getLabel(status)}</span>
+                        </div>
+                    </div>
+                    <div class="platform-details">
+                        <p><strong>Token:</strong> <span class="token-fingerprint">${Utils.sanitizeHtml(TokenHealth.mask(token))}</span></p>
+                        <p class="token-health">${TokenHealth.describe(token)}</p>
+                        <p><strong>Connected:</strong> ${Utils.formatRelativeTime(token.connected_at)}</p>
+                        <p><strong>Last used:</strong> ${Utils.formatRelativeTime(token.last_used)}</p>
+                        ${token.checked_at ? `<p><strong>Last checked:</strong> ${Utils.formatRelativeTime(token.checked_at)}</p>` : ''}
+                    </div>
+                    <div class="platform-actions">
+                        <button class="btn ${status === 'valid' ? 'btn-text' : 'btn-primary'} btn-small" onclick="dashboard.reconnectPlatform('${token.platform}')">
+                            Reconnect
+                        </button>
+                        <button class="btn btn-text btn-small" onclick="dashboard.disconnectPlatform('${token.platform}')">
+                            Disconnect
+                        </button>
                     </div>
                 </div>
-                <div class="platform-details">
-                    <p><strong>Connected:</strong> ${Utils.formatRelativeTime(token.connected_at)}</p>
-                    <p><strong>Last used:</strong> ${Utils.formatRelativeTime(token.last_used)}</p>
-                </div>
-                <div class="platform-actions">
-                    <button class="btn btn-text btn-small" onclick="dashboard.reconnectPlatform('${token.platform}')">
-                        Reconnect
-                    </button>
-                    <button class="btn btn-text btn-small" onclick="dashboard.disconnectPlatform('${token.platform}')">
-                        Disconnect
-                    </button>
-                </div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
     }
 
     initializeScheduleForm() {
-        // Set minimum datetime to current time
+        // A reset form falls back to the first zone; restore the user's choice
+        const timezoneSelect = document.getElementById('scheduleTimezone');
+        if (timezoneSelect && !this.editingPost) {
+            timezoneSelect.value = this.userTimezone;
+        }
+        
+        // Set minimum datetime to current time, as wall-clock time in the selected zone
         const scheduleTimeInput = document.getElementById('scheduleTime');
         if (scheduleTimeInput) {
-            const now = new Date();
-            now.setMinutes(now.getMinutes() + 10); // Minimum 10 minutes from now
-            scheduleTimeInput.min = now.toISOString().slice(0, 16);
+            this.updateScheduleTimeMin();
             
-            // Set default to 1 hour from now
-            const defaultTime = new Date(now.getTime() + 60 * 60 * 1000);
-            scheduleTimeInput.value = defaultTime.toISOString().slice(0, 16);
+            // Default to the next recommended window; the suggestions load in the background
+            this.scheduleTimeEdited = false;
+            if (!this.editingPost) {
+                this.applySuggestedTime();
+            }
         }
         
         // Update platform options based on connected platforms
         this.updatePlatformOptions();
+        this.updateRecurrenceOptions();
+        this.loadBestTimes();
     }
 
-    updatePlatformOptions() {
-        const platformSelect = document.getElementById('platform');
-        const schedulePlatformSelect = document.getElementById('schedulePlatform');
-        
-        if (!platformSelect && !schedulePlatformSelect) return;
-        
-        const selects = [platformSelect, schedulePlatformSelect].filter(select => select);
-        const connectedPlatforms = this.tokens.map(token => token.platform);
-        
+    async loadBestTimes() {
+        if (!this.bestTimePosts) {
+            try {
+                const from = new Date(Date.now() - PostingTimeAdvisor.HISTORY_DAYS * 24 * 60 * 60 * 1000);
+                const result = await API.getUserPosts(this.currentUser.email, {
+                    from: from.toISOString(),
+                    to: new Date().toISOString(),
+                    limit: 500
+                });
+                
+                this.bestTimePosts = result.posts || [];
+            } catch (error) {
+                console.error('Failed to load posting history:', error);
+                this.bestTimePosts = [];
+            }
+            
+            if (!this.editingPost && !this.scheduleTimeEdited) {
+                this.applySuggestedTime();
+            }
+        }
+        
+        this.renderBestTimes();
+    }
+
+    /**
+     * Platforms the suggestions are for: the selected ones, or every connected one
+     */
+    getBestTimePlatforms() {
+        const selected = this.getSelectedPlatforms();
+        return selected.length > 0 ? selected : this.tokens.map(token => token.platform);
+    }
+
+    getBestTimes(platform) {
+        return PostingTimeAdvisor.recommend(this.bestTimePosts || [], platform, this.userTimezone);
+    }
+
+    /**
+     * Next start of a platform's best window, as a UTC ISO string
+     */
+    getBestTime(platform) {
+        const windows = this.getBestTimes(platform).windows;
+        return windows.length > 0 ? PostingTimeAdvisor.getNextTime(windows[0], this.userTimezone) : null;
+    }
+
+    applySuggestedTime() {
+        const platform = this.getBestTimePlatforms()[0];
+        
+        // Without a connected platform there is nothing to go on; use an hour from now
+        const suggested = (platform && this.getBestTime(platform)) || new Date(Date.now() + 70 * 60 * 1000).toISOString();
+        
+        document.getElementById('scheduleTime').value = Utils.formatDateTimeLocal(suggested, this.getScheduleTimezone());
+        this.updateRecurrencePreview();
+    }
+
+    setScheduleTime(time) {
+        document.getElementById('scheduleTime').value = Utils.formatDateTimeLocal(time, this.getScheduleTimezone());
+        this.scheduleTimeEdited = true;
+        this.clearFieldError('scheduleTime');
+        this.updateRecurrencePreview();
+    }
+
+    renderBestTimes() {
+        const container = document.getElementById('bestTimes');
+        if (!container) return;
+        
+        const platforms = this.getBestTimePlatforms();
+        if (!this.bestTimePosts || platforms.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const timezone = this.getScheduleTimezone();
+        
+        container.innerHTML = platforms.map(platform => {
+            const recommendation = this.getBestTimes(platform);
+            const source = recommendation.source === 'history' ?
+                `from your last ${recommendation.posts} posts` :
+                'typical times until you have more history';
+            
+            return `
+                <div class="best-times-row">
+                    <span class="best-times-platform">${Utils.getPlatformIcon(platform)} ${Utils.getPlatformDisplayName(platform)}</span>
+                    ${recommendation.windows.map(window => {
+                        const time = PostingTimeAdvisor.getNextTime(window, this.userTimezone);
+                        return time ? `
+                            <button type="button" class="best-time-chip" data-time="${time}" title="${Utils.formatDate(time, timezone)}">
+                                ${PostingTimeAdvisor.describe(window)}
+                            </button>
+                        ` : '';
+                    }).join('')}
+                    <span class="best-times-source">${source}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async handleScheduleAtBestTime() {
+        const form = document.getElementById('scheduleForm');
+        const formData = new FormData(form);
+        const platforms = this.getSelectedPlatforms();
+        const overrides = this.getPlatformOverrides(platforms);
+        const bestTimeBtn = document.getElementById('bestTimeBtn');
+        
+        if (this.getRecurrenceRule()) {
+            Utils.showNotification('Posts scheduled at the best time go out once. Set Repeat to "Does not repeat" first.', 'error');
+            return;
+        }
+        
+        try {
+            Utils.showLoading(bestTimeBtn);
+            
+            await this.loadBestTimes();
+            
+            // Each platform goes out at the next start of its own best window
+            const slots = {};
+            platforms.forEach(platform => {
+                slots[platform] = this.getBestTime(platform);
+            });
+            
+            const postData = {
+                platforms: platforms,
+                message: formData.get('message'),
+                media: this.getPostMedia(),
+                media_url: this.attachments.length > 0 ? this.attachments[0].media_url : formData.get('mediaUrl'),
+                media_id: this.attachments.length > 0 ? this.attachments[0].media_id : null,
+                // Validated against the earliest time; each platform gets its own below
+                schedule: platforms.map(platform => slots[platform]).sort()[0],
+                timezone: this.userTimezone,
+                rrule: null
+            };
+            
+            const threaded = this.getThreadedPlatforms(platforms, postData.message, overrides);
+            
+            if (!this.validateScheduleForm(postData, overrides, threaded)) {
+                return;
+            }
+            
+            const threads = this.buildThreads(threaded, postData.message, overrides);
+            if (!threads) {
+                return;
+            }
+            
+            await this.schedulePlatformPosts(postData, overrides, threads, slots, {
+                timezones: Object.fromEntries(platforms.map(platform => [platform, this.userTimezone])),
+                fields: {},
+                label: 'Scheduled',
+                groupMessage: 'Post scheduled at each platform\'s best time'
+            });
+        } catch (error) {
+            console.error('Failed to schedule post at best time:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading(bestTimeBtn);
+        }
+    }
+
+    updateScheduleTimeMin() {
+        const scheduleTimeInput = document.getElementById('scheduleTime');
+        if (!scheduleTimeInput) return;
+        
+        // Minimum 10 minutes from now
+        const minimum = new Date(Date.now() + 10 * 60 * 1000);
+        scheduleTimeInput.min = Utils.formatDateTimeLocal(minimum, this.getScheduleTimezone());
+    }
+
+    updatePlatformOptions() {
+        const platformPicker = document.getElementById('platformPicker');
+        const schedulePlatformSelect = document.getElementById('schedulePlatform');
+        
+        if (!platformPicker && !schedulePlatformSelect) return;
+        
+        const connectedPlatforms = this.tokens.map(token => token.platform);
+        
+        if (platformPicker) {
+            this.renderPlatformPicker(platformPicker, connectedPlatforms);
+        }
+        
+        const selects = [schedulePlatformSelect].filter(select => select);
+        
         selects.forEach(select => {
             // Clear existing options except the first one
             while (select.options.length > 1) {
@@ -403,14 +1240,93 @@ class Dashboard {
                 select.appendChild(option);
             });
             
-            // Show hint if no platforms connected
-            const platformHint = document.getElementById('platformHint');
-            if (platformHint) {
-                platformHint.textContent = connectedPlatforms.length === 0 ? 
-                    'No platforms connected. Connect a platform first.' :
-                    'Make sure you\'ve connected this platform first';
+        });
+        
+        // Show hint if no platforms connected
+        const platformHint = document.getElementById('platformHint');
+        if (platformHint) {
+            platformHint.textContent = connectedPlatforms.length === 0 ? 
+                'No platforms connected. Connect a platform first.' :
+                'Select every platform this post should go out on';
+        }
+    }
+
+    renderPlatformPicker(platformPicker, connectedPlatforms) {
+        // Keep the current selection across re-renders
+        const selected = this.getSelectedPlatforms();
+        
+        platformPicker.innerHTML = connectedPlatforms.map(platform => `
+            <label class="platform-option">
+                <input type="checkbox" name="platforms" value="${platform}" ${selected.includes(platform) ? 'checked' : ''}>
+                <span>${Utils.getPlatformIcon(platform)} ${Utils.getPlatformDisplayName(platform)}</span>
+            </label>
+        `).join('');
+        
+        this.renderPlatformOverrides();
+    }
+
+    getSelectedPlatforms() {
+        return Array.from(document.querySelectorAll('#platformPicker input[name="platforms"]:checked'))
+            .map(input => input.value);
+    }
+
+    setSelectedPlatforms(platforms, lockOthers = false) {
+        document.querySelectorAll('#platformPicker input[name="platforms"]').forEach(input => {
+            input.checked = platforms.includes(input.value);
+            input.disabled = lockOthers && !input.checked;
+        });
+        
+        this.renderPlatformOverrides();
+    }
+
+    renderPlatformOverrides() {
+        const overridesGroup = document.getElementById('platformOverridesGroup');
+        const overridesContainer = document.getElementById('platformOverrides');
+        if (!overridesGroup || !overridesContainer) return;
+        
+        const platforms = this.getSelectedPlatforms();
+        
+        // Keep whatever was already typed for platforms that stay selected
+        const existing = this.getPlatformOverrides(platforms);
+        
+        // Overrides only make sense when the same message goes to several platforms
+        overridesGroup.classList.toggle('hidden', platforms.length < 2);
+        if (platforms.length < 2) {
+            overridesContainer.innerHTML = '';
+            return;
+        }
+        
+        overridesContainer.innerHTML = platforms.map(platform => `
+            <div class="override-field">
+                <label for="override_${platform}" class="form-label">
+                    ${Utils.getPlatformIcon(platform)} ${Utils.getPlatformDisplayName(platform)}
+                </label>
+                <textarea 
+                    id="override_${platform}" 
+                    data-platform="${platform}" 
+                    class="form-textarea override-input" 
+                    rows="3"
+                    placeholder="Custom text for ${Utils.getPlatformDisplayName(platform)}"
+                >${Utils.sanitizeHtml(existing[platform] || '')}</textarea>
+                <div class="form-error" id="override_${platform}Error"></div>
+                <div class="form-meta">
+                    <span class="char-count" id="overrideCount_${platform}"></span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    getPlatformOverrides(platforms) {
+        const overrides = {};
+        
+        document.querySelectorAll('#platformOverrides .override-input').forEach(input => {
+            const text = input.value.trim();
+            if (text && platforms.includes(input.dataset.platform)) {
+                overrides[input.dataset.platform] = input.value;
             }
         });
+        
+        return overrides;
     }
 
     async handleSchedulePost(event) {
@@ -418,31 +1334,84 @@ class Dashboard {
         
         const form = event.target;
         const formData = new FormData(form);
+        const platforms = this.getSelectedPlatforms();
+        const overrides = this.getPlatformOverrides(platforms);
+        const timezone = formData.get('timezone') || this.userTimezone;
         
+        // Stored as UTC plus the zone the time was entered in
         const postData = {
-            platform: formData.get('platform'),
+            platforms: platforms,
             message: formData.get('message'),
-            media_url: formData.get('mediaUrl'),
-            schedule: new Date(formData.get('scheduleTime')).toISOString()
+            media: this.getPostMedia(),
+            // Single-media fields stay for backends that predate attachment lists
+            media_url: this.attachments.length > 0 ? this.attachments[0].media_url : formData.get('mediaUrl'),
+            media_id: this.attachments.length > 0 ? this.attachments[0].media_id : null,
+            schedule: Utils.zonedTimeToUtc(formData.get('scheduleTime'), timezone),
+            timezone: timezone,
+            rrule: this.getRecurrenceRule()
         };
         
+        // Platforms that will receive the message as a numbered thread
+        const threaded = this.getThreadedPlatforms(platforms, postData.message, overrides);
+        
         // Validate form
-        if (!this.validateScheduleForm(postData)) {
+        if (!this.validateScheduleForm(postData, overrides, threaded)) {
+            return;
+        }
+        
+        const threads = this.buildThreads(threaded, postData.message, overrides);
+        if (!threads) {
             return;
         }
         
         try {
+            // Disable the button while the limit is checked so it can't be sent twice
             Utils.showLoading(document.getElementById('scheduleBtn'));
             
-            const result = await API.schedulePost(postData);
+            if (!(await this.ensureQuota(this.getNewPostTimes(postData), this.editingPost ? [this.editingPost.id] : []))) {
+                return;
+            }
+            
+            document.getElementById('groupResults').classList.add('hidden');
+            
+            // A single platform stays a plain post
+            const isGroup = !this.editingPost && !postData.rrule && platforms.length > 1;
+            
+            let result;
+            if (this.editingPost && this.editingScope === 'series') {
+                result = await API.updateRecurringPost(this.editingPost.series_id, {
+                    ...this.buildSinglePost(postData, overrides),
+                    rrule: postData.rrule,
+                    // Changes apply from this occurrence onwards
+                    from_post_id: this.editingPost.id
+                });
+            } else if (this.editingPost) {
+                result = await this.submitPostChanges(this.editingPost, this.buildSinglePost(postData, overrides));
+            } else if (postData.rrule) {
+                result = await API.createRecurringPost(this.buildRecurringSeries(postData, overrides, threads));
+            } else if (isGroup) {
+                result = await API.schedulePostGroup(this.buildPostGroup(postData, overrides, threads));
+            } else {
+                result = await API.schedulePost(this.buildSinglePost(postData, overrides, threads));
+            }
             
             if (result.success) {
-                Utils.showNotification(result.message, 'success');
-                form.reset();
-                this.initializeScheduleForm();
+                const rejected = isGroup ? this.showGroupResults(result.results || []) : [];
                 
-                // Reload posts data
-                await this.loadUserPosts();
+                if (rejected.length === 0) {
+                    Utils.showNotification(result.message, 'success');
+                    this.exitEditMode();
+                } else {
+                    Utils.showNotification(
+                        `${rejected.length} of ${platforms.length} platforms rejected the post. Fix and resubmit them below.`,
+                        'warning'
+                    );
+                    // Leave only the rejected platforms selected for another attempt
+                    this.setSelectedPlatforms(rejected);
+                }
+                
+                // Reload posts, stats and recent activity
+                await this.refreshPostData();
             }
         } catch (error) {
             console.error('Failed to schedule post:', error);
@@ -452,11 +1421,335 @@ class Dashboard {
         }
     }
 
-    validateScheduleForm(postData) {
+    buildSinglePost(postData, overrides, threads = {}) {
+        const platform = postData.platforms[0];
+        const post = {
+            platform: platform,
+            message: overrides[platform] || postData.message,
+            media: postData.media,
+            media_url: postData.media_url,
+            media_id: postData.media_id,
+            schedule: postData.schedule,
+            timezone: postData.timezone
+        };
+        
+        if (threads[platform]) {
+            return {
+                ...post,
+                group_id: Utils.generateId('thread'),
+                ...this.formatThread(threads[platform])
+            };
+        }
+        
+        return post;
+    }
+
+    buildPostGroup(postData, overrides, threads = {}) {
+        return {
+            group_id: Utils.generateId('group'),
+            message: postData.message,
+            media: postData.media,
+            media_url: postData.media_url,
+            media_id: postData.media_id,
+            schedule: postData.schedule,
+            timezone: postData.timezone,
+            posts: postData.platforms.map(platform => {
+                const post = {
+                    platform: platform,
+                    message: overrides[platform] || postData.message
+                };
+                
+                return threads[platform] ? { ...post, ...this.formatThread(threads[platform]) } : post;
+            })
+        };
+    }
+
+    buildRecurringSeries(postData, overrides, threads = {}) {
+        const group = this.buildPostGroup(postData, overrides, threads);
+        
+        // The backend creates each run's posts (and their group) from the rule
+        delete group.group_id;
+        
+        return {
+            series_id: Utils.generateId('series'),
+            rrule: postData.rrule,
+            ...group
+        };
+    }
+
+    formatThread(parts) {
+        // The backend sends the parts one after another in `position` order
+        return {
+            message: parts[0],
+            thread: parts.map((message, index) => ({
+                position: index + 1,
+                message: message
+            }))
+        };
+    }
+
+    buildThreads(platforms, message, overrides) {
+        const threads = {};
+        let isValid = true;
+        
+        platforms.forEach(platform => {
+            const field = overrides[platform] ? `override_${platform}` : 'message';
+            
+            try {
+                threads[platform] = ThreadSplitter.split(overrides[platform] || message, platform);
+            } catch (error) {
+                this.showFieldError(field, error.message);
+                isValid = false;
+            }
+        });
+        
+        if (!isValid) {
+            Utils.showNotification('Part of the message cannot be split into a thread', 'error');
+            return null;
+        }
+        
+        return threads;
+    }
+
+    getSplittablePlatforms(platforms, message, overrides) {
+        return platforms.filter(platform => {
+            const text = overrides[platform] || message || '';
+            
+            return PlatformRegistry.supportsThreads(platform) &&
+                PlatformRegistry.countCharacters(platform, text) > PlatformRegistry.getCharLimit(platform);
+        });
+    }
+
+    getThreadedPlatforms(platforms, message, overrides) {
+        const splitThread = document.getElementById('splitThread');
+        
+        // Threads are created once; an existing post is edited as a single message
+        if (this.editingPost || !splitThread || !splitThread.checked) {
+            return [];
+        }
+        
+        return this.getSplittablePlatforms(platforms, message, overrides);
+    }
+
+    updateThreadToggle(splittable) {
+        const threadToggle = document.getElementById('threadToggle');
+        const threadToggleText = document.getElementById('threadToggleText');
+        if (!threadToggle) return;
+        
+        threadToggle.classList.toggle('hidden', splittable.length === 0 || !!this.editingPost);
+        
+        if (threadToggleText && splittable.length > 0) {
+            const names = splittable.map(platform => Utils.getPlatformDisplayName(platform)).join(', ');
+            threadToggleText.textContent = `Split into a numbered thread on ${names}`;
+        }
+    }
+
+    showGroupResults(results) {
+        const groupResults = document.getElementById('groupResults');
+        const rejected = results.filter(item => !item.success).map(item => item.platform);
+        
+        if (groupResults) {
+            groupResults.innerHTML = `
+                <h4>Cross-post results</h4>
+                ${results.map(item => `
+                    <div class="activity-item">
+                        <div class="activity-icon ${item.success ? 'success' : 'error'}">
+                            ${item.success ? '✓' : '✗'}
+                        </div>
+                        <div class="activity-content">
+                            <div class="activity-title">${Utils.getPlatformDisplayName(item.platform)}</div>
+                            <div class="activity-description">
+                                ${Utils.sanitizeHtml(item.message || (item.success ? 'Scheduled' : 'Rejected'))}
+                            </div>
+                        </div>
+                        <span class="badge ${item.success ? 'success' : 'error'}">
+                            ${item.success ? 'Accepted' : 'Rejected'}
+                        </span>
+                    </div>
+                `).join('')}
+            `;
+            groupResults.classList.toggle('hidden', results.length === 0);
+        }
+        
+        return rejected;
+    }
+
+    async submitPostChanges(post, postData) {
+        const onlyTimeChanged = postData.platform === post.platform &&
+            postData.message === post.message &&
+            (postData.media_url || '') === (post.media_url || '') &&
+            this.getMediaSignature(postData.media) === this.getMediaSignature(post.media);
+        
+        if (onlyTimeChanged) {
+            return API.reschedulePost(post.id, postData.schedule, postData.timezone);
+        }
+        
+        return API.updatePost(post.id, postData);
+    }
+
+    getMediaSignature(media) {
+        return JSON.stringify((media || []).map(item => [item.media_id, item.alt_text || '']));
+    }
+
+    findPost(postId) {
+        return [...this.historyPosts, ...this.calendarPosts, ...this.posts].find(post => String(post.id) === String(postId));
+    }
+
+    editPost(postId, scope = 'occurrence') {
+        const post = this.findPost(postId);
+        
+        if (!post || post.status !== 'pending') {
+            Utils.showNotification('Only pending posts can be edited', 'warning');
+            return;
+        }
+        
+        this.showSection('schedule');
+        this.setActiveNav('schedule');
+        this.editingPost = post;
+        this.editingScope = scope === 'series' && post.series_id ? 'series' : 'occurrence';
+        
+        this.setSelectedPlatforms([post.platform], true);
+        document.getElementById('message').value = post.message || '';
+        document.getElementById('mediaUrl').value = post.media && post.media.length ? '' : post.media_url || '';
+        this.setAttachments(post.media || []);
+        // Show the post in the zone it was scheduled in
+        const timezone = post.timezone || this.userTimezone;
+        const timezoneSelect = document.getElementById('scheduleTimezone');
+        if (!Array.from(timezoneSelect.options).some(option => option.value === timezone)) {
+            timezoneSelect.add(new Option(timezone, timezone), 0);
+        }
+        timezoneSelect.value = timezone;
+        document.getElementById('scheduleTime').value = Utils.formatDateTimeLocal(post.scheduled_time, timezone);
+        
+        // A single occurrence is edited as a one-off post; the series keeps its rule
+        document.getElementById('repeatFrequency').value = this.editingScope === 'series' ? 'CUSTOM' : '';
+        document.getElementById('repeatRule').value = this.editingScope === 'series' ? post.rrule || '' : '';
+        document.getElementById('recurrenceGroup').classList.toggle('hidden', this.editingScope !== 'series');
+        this.updateRecurrenceOptions();
+        
+        this.setScheduleButtonText(this.editingScope === 'series' ? 'Update Series' : 'Update Post');
+        document.getElementById('queueBtn').classList.add('hidden');
+        document.getElementById('bestTimeBtn').classList.add('hidden');
+        document.getElementById('editBannerText').textContent = this.editingScope === 'series' ?
+            'Editing a recurring series. Changes apply to this run and every later one.' :
+            post.series_id ?
+                'Editing one run of a recurring series. The other runs stay as they are.' :
+                'Editing a scheduled post. Changes replace the queued version.';
+        document.getElementById('editBanner').classList.remove('hidden');
+        
+        this.updateCharCount();
+        this.updatePostPreview();
+    }
+
+    exitEditMode() {
+        this.editingPost = null;
+        this.editingScope = 'occurrence';
+        
+        const recurrenceGroup = document.getElementById('recurrenceGroup');
+        if (recurrenceGroup) {
+            recurrenceGroup.classList.remove('hidden');
+        }
+        
+        const queueBtn = document.getElementById('queueBtn');
+        if (queueBtn) {
+            queueBtn.classList.remove('hidden');
+        }
+        
+        const bestTimeBtn = document.getElementById('bestTimeBtn');
+        if (bestTimeBtn) {
+            bestTimeBtn.classList.remove('hidden');
+        }
+        
+        const editBanner = document.getElementById('editBanner');
+        if (editBanner) {
+            editBanner.classList.add('hidden');
+        }
+        
+        this.setScheduleButtonText('Schedule Post');
+        
+        const scheduleForm = document.getElementById('scheduleForm');
+        if (scheduleForm) {
+            scheduleForm.reset();
+        }
+        
+        this.setSelectedPlatforms([]);
+        this.removeAllMedia();
+        this.initializeScheduleForm();
+        this.updateCharCount();
+        this.updatePostPreview();
+    }
+
+    setScheduleButtonText(label) {
+        const buttonText = document.querySelector('#scheduleBtn .btn-text');
+        if (buttonText) {
+            buttonText.textContent = label;
+            buttonText.dataset.originalText = label;
+        }
+    }
+
+    async cancelScheduledPost(postId) {
+        const post = this.findPost(postId);
+        if (!post) return;
+        
+        if (!confirm(`Cancel this scheduled ${Utils.getPlatformDisplayName(post.platform)} post?`)) {
+            return;
+        }
+        
+        try {
+            Utils.showLoading();
+            
+            const result = await API.cancelPost(post.id);
+            
+            if (result.success) {
+                Utils.showNotification(result.message || 'Post cancelled', 'success');
+                
+                // Close the gap the post leaves in its queue
+                if (post.queued) {
+                    await this.repackQueue(post);
+                }
+                
+                if (this.editingPost && String(this.editingPost.id) === String(post.id)) {
+                    this.exitEditMode();
+                }
+                
+                await this.refreshPostData();
+            }
+        } catch (error) {
+            console.error('Failed to cancel post:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    async refreshPostData() {
+        // Drop cached lists so the changes show up immediately
+        API.clearUserCache(this.currentUser.email);
+        this.bestTimePosts = null;
+        
+        await Promise.all([
+            this.loadOverviewData(),
+            this.loadUserPosts(),
+            this.loadQuotaUsage()
+        ]);
+        
+        this.updateOverviewStats();
+        this.updateRecentActivity();
+        
+        if (this.currentSection === 'posts') {
+            await this.loadPostsHistory();
+        }
+        
+        if (this.currentSection === 'calendar') {
+            await this.loadCalendarPosts();
+        }
+    }
+
+    validateScheduleForm(postData, overrides = {}, threaded = []) {
         let isValid = true;
         
-        if (!postData.platform) {
-            Utils.showNotification('Please select a platform', 'error');
+        if (!postData.platforms || postData.platforms.length === 0) {
+            Utils.showNotification('Please select at least one platform', 'error');
             isValid = false;
         }
         
@@ -465,6 +1758,34 @@ class Dashboard {
             isValid = false;
         }
         
+        if (this.isMediaUploading()) {
+            Utils.showNotification('Please wait for the media upload to finish', 'error');
+            isValid = false;
+        }
+        
+        if (!this.checkAttachedMedia(postData.platforms)) {
+            Utils.showNotification('The attached media does not meet the selected platforms\' limits', 'error');
+            isValid = false;
+        }
+        
+        const lengthErrors = this.getLengthErrors(postData, overrides, threaded);
+        const hashtagErrors = this.getHashtagErrors(postData, overrides);
+        
+        // Both checks can flag the same field
+        [...new Set([...Object.keys(lengthErrors), ...Object.keys(hashtagErrors)])].forEach(field => {
+            this.showFieldError(field, [lengthErrors[field], hashtagErrors[field]].filter(Boolean).join('; '));
+        });
+        
+        if (Object.keys(lengthErrors).length > 0) {
+            Utils.showNotification('Your message is too long for at least one platform', 'error');
+            isValid = false;
+        }
+        
+        if (Object.keys(hashtagErrors).length > 0) {
+            Utils.showNotification('Your message has too many hashtags for at least one platform', 'error');
+            isValid = false;
+        }
+        
         if (!postData.schedule || isNaN(new Date(postData.schedule).getTime())) {
             Utils.showNotification('Please select a valid schedule time', 'error');
             isValid = false;
@@ -476,6 +1797,11 @@ class Dashboard {
             isValid = false;
         }
         
+        if (!this.checkRecurrenceRule(postData)) {
+            Utils.showNotification('Please fix the repeat settings', 'error');
+            isValid = false;
+        }
+        
         return isValid;
     }
 
@@ -483,26 +1809,33 @@ class Dashboard {
         event.preventDefault();
         
         const form = event.target;
-        const formData = new FormData(form);
-        const platform = formData.get('platform');
+        const tokenData = this.getConnectionData(form);
+        const platform = tokenData.platform;
         
-        // Platform-specific validation would go here
-        const tokenData = {
-            platform: platform,
-            token: formData.get('token'),
-            page_id_chat_id: formData.get('page_id_chat_id')
-        };
+        if (!this.validateConnectionForm(tokenData)) {
+            return;
+        }
         
         try {
             Utils.showLoading(document.getElementById('connectBtn'));
             
-            const result = await API.saveToken(tokenData);
+            // Never queue posts against a credential the platform rejects
+            const verification = await API.testToken(tokenData);
+            if (verification.valid === false) {
+                throw new Error(verification.message || 'The platform rejected these credentials');
+            }
+            
+            // Rotating a token keeps the existing connection and its history
+            const result = this.reconnectingPlatform === platform ?
+                await API.updateToken(tokenData) :
+                await API.saveToken(tokenData);
             
             if (result.success) {
                 Utils.showNotification(result.message, 'success');
-                form.reset();
+                this.exitReconnectMode();
                 
                 // Reload tokens and update UI
+                API.clearUserCache(this.currentUser.email);
                 await this.loadUserTokens();
                 this.updatePlatformOptions();
             }
@@ -514,49 +1847,1953 @@ class Dashboard {
         }
     }
 
+    getConnectionData(form) {
+        const formData = new FormData(form);
+        
+        return {
+            platform: formData.get('platform'),
+            token: (formData.get('token') || '').trim(),
+            page_id_chat_id: (formData.get('page_id_chat_id') || '').trim()
+        };
+    }
+
+    validateConnectionForm(tokenData) {
+        if (!tokenData.platform) {
+            Utils.showNotification('Please select a platform', 'error');
+            return false;
+        }
+        
+        PlatformRegistry.getCredentialFields(tokenData.platform).forEach(field => {
+            this.clearFieldError(field.name);
+        });
+        
+        const validation = CredentialValidator.validate(tokenData.platform, tokenData);
+        
+        Object.entries(validation.errors).forEach(([field, message]) => {
+            this.showFieldError(field, message);
+        });
+        
+        if (!validation.isValid) {
+            Utils.showNotification('Please fix the highlighted credential fields', 'error');
+        }
+        
+        return validation.isValid;
+    }
+
+    async handleTestConnection() {
+        const form = document.getElementById('connectionForm');
+        const tokenData = this.getConnectionData(form);
+        
+        if (!this.validateConnectionForm(tokenData)) {
+            return;
+        }
+        
+        try {
+            Utils.showLoading(document.getElementById('testConnectionBtn'));
+            
+            const result = await API.testToken(tokenData);
+            
+            if (result.valid === false) {
+                Utils.showNotification(result.message || 'The platform rejected these credentials', 'error');
+            } else {
+                const account = result.account_name ? ` as ${result.account_name}` : '';
+                Utils.showNotification(`Connection verified${account}`, 'success');
+            }
+        } catch (error) {
+            console.error('Connection test failed:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading(document.getElementById('testConnectionBtn'));
+        }
+    }
+
+    showFieldError(field, message) {
+        const errorElement = document.getElementById(`${field}Error`);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        }
+        
+        const inputElement = document.getElementById(field);
+        if (inputElement) {
+            inputElement.classList.add('error');
+        }
+    }
+
+    clearFieldError(field) {
+        const errorElement = document.getElementById(`${field}Error`);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+        }
+        
+        const inputElement = document.getElementById(field);
+        if (inputElement) {
+            inputElement.classList.remove('error');
+        }
+    }
+
     handlePlatformChange(event) {
         const platform = event.target.value;
+        
+        // Picking another platform abandons the token rotation
+        if (this.reconnectingPlatform && platform !== this.reconnectingPlatform) {
+            this.setReconnectMode(null);
+        }
+        
+        this.manualTokenEntry = false;
+        this.renderConnectionFields(platform);
+    }
+
+    /**
+     * Offer OAuth sign-in where the platform and deployment support it, with
+     * pasted tokens as the fallback
+     */
+    renderConnectionFields(platform) {
         const fieldsContainer = document.getElementById('platformFields');
+        const formActions = document.querySelector('#connectionForm .form-actions');
+        if (!fieldsContainer) return;
+        
+        if (!platform) {
+            fieldsContainer.innerHTML = '';
+            if (formActions) formActions.classList.remove('hidden');
+            return;
+        }
+        
+        const name = Utils.getPlatformDisplayName(platform);
+        const oauth = OAuthConnect.isAvailable(platform);
+        const showOAuth = oauth && !this.manualTokenEntry;
+        
+        // The test and connect buttons only apply to pasted tokens
+        if (formActions) {
+            formActions.classList.toggle('hidden', showOAuth);
+        }
+        
+        if (showOAuth) {
+            fieldsContainer.innerHTML = `
+                <div class="oauth-connect">
+                    <button type="button" class="btn btn-primary" id="oauthConnectBtn" onclick="dashboard.connectWithOAuth('${platform}')">
+                        <span class="btn-text" data-original-text="Connect with ${name}">Connect with ${name}</span>
+                        <div class="btn-spinner hidden"></div>
+                    </button>
+                    <p class="oauth-hint">Sign in to ${name} in a new window and approve posting. There's no token to copy, and it renews automatically.</p>
+                    <button type="button" class="btn btn-text btn-small" onclick="dashboard.setManualTokenEntry(true)">
+                        Enter a token manually instead
+                    </button>
+                </div>
+            `;
+            return;
+        }
+        
+        const fields = PlatformRegistry.getCredentialFields(platform);
+        
+        fieldsContainer.innerHTML = (oauth ? `
+            <div class="oauth-connect">
+                <button type="button" class="btn btn-text btn-small" onclick="dashboard.setManualTokenEntry(false)">
+                    Connect with ${name} sign-in instead
+                </button>
+            </div>
+        ` : '') + fields.map(field => `
+            <div class="form-group">
+                <label for="${field.name}" class="form-label">${field.label}</label>
+                <input 
+                    type="${field.type}" 
+                    id="${field.name}" 
+                    name="${field.name}" 
+                    class="form-input" 
+                    placeholder="${field.placeholder}"
+                    oninput="dashboard.clearFieldError('${field.name}')"
+                    autocomplete="off"
+                    spellcheck="false"
+                    required
+                >
+                <div class="form-error" id="${field.name}Error"></div>
+            </div>
+        `).join('');
+    }
+
+    setManualTokenEntry(enabled) {
+        const platformSelect = document.getElementById('connectPlatform');
+        if (!platformSelect) return;
+        
+        this.manualTokenEntry = enabled;
+        this.renderConnectionFields(platformSelect.value);
+        
+        const tokenInput = document.getElementById('token');
+        if (enabled && tokenInput) {
+            tokenInput.focus();
+        }
+    }
+
+    async connectWithOAuth(platform) {
+        try {
+            this.setOAuthWaiting(true);
+            
+            const attempt = await OAuthConnect.connect(platform, {
+                reconnect: this.reconnectingPlatform === platform
+            });
+            
+            if (attempt.redirected) return;
+            
+            // The result arrives through handleOAuthResult; this only resets the button
+            clearInterval(this.oauthPopupTimer);
+            this.oauthPopupTimer = OAuthConnect.watchPopup(attempt.popup, () => this.setOAuthWaiting(false));
+        } catch (error) {
+            console.error('Failed to start OAuth connection:', error);
+            Utils.showNotification(error.message, 'error');
+            this.setOAuthWaiting(false);
+        }
+    }
+
+    /**
+     * Hold the sign-in button while the popup is open. Not Utils.showLoading,
+     * whose overlay would cover the dashboard for as long as sign-in takes.
+     */
+    setOAuthWaiting(waiting) {
+        const button = document.getElementById('oauthConnectBtn');
+        if (!button) return;
+        
+        const text = button.querySelector('.btn-text');
+        button.disabled = waiting;
+        if (text) {
+            text.textContent = waiting ? 'Waiting for sign-in...' : text.dataset.originalText;
+        }
+    }
+
+    async handleOAuthResult(result) {
+        clearInterval(this.oauthPopupTimer);
+        this.setOAuthWaiting(false);
+        
+        if (!result.success) {
+            Utils.showNotification(result.message, result.cancelled ? 'info' : 'error');
+            return;
+        }
+        
+        Utils.showNotification(result.message, 'success');
+        this.exitReconnectMode();
+        
+        // Reload tokens and update UI
+        this.refreshedTokens.delete(result.platform);
+        API.clearUserCache(this.currentUser.email);
+        await this.loadUserTokens();
+        this.updatePlatformOptions();
+    }
+
+    /**
+     * Pick up the outcome of an OAuth attempt that left the dashboard
+     * because popups were blocked
+     */
+    checkOAuthRedirect() {
+        const result = OAuthConnect.takeRedirectResult();
+        if (!result) return;
+        
+        this.showSection('platforms');
+        this.handleOAuthResult(result);
+    }
+
+    initializePostsList() {
+        this.loadPostsHistory();
+    }
+
+    async loadPostsHistory() {
+        const postsList = document.getElementById('postsList');
+        if (!postsList) return;
+        
+        const filters = {
+            ...this.historyFilters,
+            limit: this.historyPageSize,
+            offset: (this.historyPage - 1) * this.historyPageSize
+        };
+        
+        try {
+            Utils.showLoading(document.getElementById('applyFiltersBtn'));
+            
+            const result = await API.getUserPosts(this.currentUser.email, filters);
+            
+            if (result.success) {
+                this.historyPosts = this.sortPosts(result.posts || [], this.historyFilters);
+                this.historyTotal = typeof result.total === 'number' ? result.total : null;
+                this.expandedPostId = null;
+                this.renderPostsList();
+            }
+        } catch (error) {
+            console.error('Failed to load post history:', error);
+            Utils.showNotification('Failed to load post history', 'error');
+        } finally {
+            Utils.hideLoading(document.getElementById('applyFiltersBtn'));
+        }
+    }
+
+    handlePostsFilter(event) {
+        event.preventDefault();
+        this.applyPostsFilters(event.target);
+    }
+
+    applyPostsFilters(form) {
+        this.historyFilters = this.getPostsFilters(form);
+        this.historyPage = 1;
+        this.loadPostsHistory();
+    }
+
+    getPostsFilters(form) {
+        const formData = new FormData(form);
+        const filters = {};
+        
+        const status = formData.get('status');
+        const platform = formData.get('platform');
+        const from = formData.get('from');
+        const to = formData.get('to');
+        const [sortBy, sortOrder] = (formData.get('sort') || 'scheduled_time:desc').split(':');
+        
+        if (status) filters.status = status;
+        if (platform) filters.platform = platform;
+        
+        // Date inputs are calendar days in the user's zone, as in the calendar; send the full day range as UTC
+        if (from) filters.from = Utils.zonedTimeToUtc(`${from}T00:00`, this.userTimezone);
+        if (to) {
+            const lastMinute = new Date(Utils.zonedTimeToUtc(`${to}T23:59`, this.userTimezone));
+            filters.to = new Date(lastMinute.getTime() + 59999).toISOString();
+        }
+        
+        filters.sort_by = sortBy;
+        filters.sort_order = sortOrder;
+        
+        return filters;
+    }
+
+    sortPosts(posts, filters) {
+        const sortBy = filters.sort_by || 'scheduled_time';
+        const direction = filters.sort_order === 'asc' ? 1 : -1;
+        
+        return [...posts].sort((a, b) => {
+            let valueA = a[sortBy];
+            let valueB = b[sortBy];
+            
+            if (sortBy === 'scheduled_time') {
+                valueA = new Date(valueA).getTime() || 0;
+                valueB = new Date(valueB).getTime() || 0;
+            } else {
+                valueA = (valueA || '').toString();
+                valueB = (valueB || '').toString();
+            }
+            
+            if (valueA < valueB) return -direction;
+            if (valueA > valueB) return direction;
+            return 0;
+        });
+    }
+
+    changePostsPage(delta) {
+        const nextPage = this.historyPage + delta;
+        if (nextPage < 1) return;
+        
+        this.historyPage = nextPage;
+        this.loadPostsHistory();
+    }
+
+    updatePostsPagination() {
+        const prevBtn = document.getElementById('postsPrevBtn');
+        const nextBtn = document.getElementById('postsNextBtn');
+        const pageInfo = document.getElementById('postsPageInfo');
+        
+        // Without a total from the backend, a full page means there may be more
+        const hasMore = this.historyTotal !== null ?
+            this.historyPage * this.historyPageSize < this.historyTotal :
+            this.historyPosts.length === this.historyPageSize;
+        
+        if (prevBtn) prevBtn.disabled = this.historyPage <= 1;
+        if (nextBtn) nextBtn.disabled = !hasMore;
+        
+        if (pageInfo) {
+            pageInfo.textContent = this.historyTotal !== null ?
+                `Page ${this.historyPage} of ${Math.max(1, Math.ceil(this.historyTotal / this.historyPageSize))}` :
+                `Page ${this.historyPage}`;
+        }
+    }
+
+    renderPostsList() {
+        const postsList = document.getElementById('postsList');
+        if (!postsList) return;
+        
+        this.updatePostsPagination();
+        
+        if (this.historyPosts.length === 0) {
+            postsList.innerHTML = `
+                <div class="activity-item">
+                    <div class="activity-content">
+                        <div class="activity-title">No posts found</div>
+                        <div class="activity-description">Try adjusting your filters or schedule a new post</div>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+        
+        postsList.innerHTML = this.historyPosts.map(post => `
+            <div class="history-item ${this.isPostExpanded(post) ? 'expanded' : ''}">
+                <div class="history-row" onclick="dashboard.togglePostDetail('${post.id}')">
+                    <div class="activity-icon ${this.getPostStatusClass(post.status)}">
+                        ${this.getPostStatusIcon(post.status)}
+                    </div>
+                    <div class="activity-content">
+                        <div class="activity-title">
+                            ${Utils.getPlatformIcon(post.platform)} ${Utils.getPlatformDisplayName(post.platform)}
+                            ${post.series_id ? '<span title="Recurring post">🔁</span>' : ''}
+                        </div>
+                        <div class="activity-description">
+                            ${Utils.sanitizeHtml(Utils.truncateText(post.message, 80) || '')}
+                        </div>
+                    </div>
+                    <span class="badge ${this.getPostStatusClass(post.status)}">${post.status}</span>
+                    <div class="activity-time">
+                        ${this.formatPostTime(post, 'scheduled_time')}
+                    </div>
+                </div>
+                ${this.isPostExpanded(post) ? this.renderPostDetail(post) : ''}
+            </div>
+        `).join('');
+    }
+
+    renderPostDetail(post) {
+        let detailHtml = `
+            <div class="history-detail">
+                <div class="detail-field">
+                    <span class="detail-label">Message</span>
+                    <div class="detail-message">${Utils.sanitizeHtml(post.message || '')}</div>
+                </div>
+                <div class="detail-field">
+                    <span class="detail-label">Scheduled</span>
+                    <span>${this.formatPostTime(post, 'scheduled_time')}</span>
+                </div>
+        `;
+        
+        if (post.posted_at) {
+            detailHtml += `
+                <div class="detail-field">
+                    <span class="detail-label">Posted</span>
+                    <span>${this.formatPostTime(post, 'posted_at')}</span>
+                </div>
+            `;
+        }
+        
+        if (post.media && post.media.length > 0) {
+            detailHtml += `
+                <div class="detail-field">
+                    <span class="detail-label">Media (${post.media.length})</span>
+                    ${this.renderMediaGalleryPreview(post.media, false)}
+                </div>
+            `;
+        } else if (post.media_url) {
+            detailHtml += `
+                <div class="detail-field">
+                    <span class="detail-label">Media</span>
+                    ${this.renderMediaPreview(post.media_url)}
+                </div>
+            `;
+        }
+        
+        if (post.status === 'failed') {
+            detailHtml += `
+                <div class="detail-field">
+                    <span class="detail-label">Failure Reason</span>
+                    <div class="detail-error">${Utils.sanitizeHtml(post.error || 'No reason was recorded for this failure')}</div>
+                </div>
+            `;
+        }
+        
+        if (post.series_id) {
+            detailHtml += `
+                <div class="detail-field">
+                    <span class="detail-label">Repeats</span>
+                    <span>${Utils.sanitizeHtml(RecurrenceRule.describe(post.rrule, post.timezone))}</span>
+                </div>
+            `;
+        }
+        
+        if (post.status === 'pending') {
+            detailHtml += `
+                <div class="platform-actions">
+                    <button class="btn btn-secondary btn-small" onclick="dashboard.editPost('${post.id}')">
+                        ${post.series_id ? 'Edit This Run' : 'Edit / Reschedule'}
+                    </button>
+                    ${post.series_id ? `
+                        <button class="btn btn-secondary btn-small" onclick="dashboard.editPost('${post.id}', 'series')">
+                            Edit Series
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-text btn-small" onclick="dashboard.cancelScheduledPost('${post.id}')">
+                        Cancel Post
+                    </button>
+                </div>
+            `;
+        }
+        
+        detailHtml += '</div>';
+        return detailHtml;
+    }
+
+    formatPostTime(post, field) {
+        const timeZone = this.timeDisplayMode === 'post' ?
+            post.timezone || this.userTimezone :
+            this.userTimezone;
+        
+        return Utils.formatDate(post[field], timeZone);
+    }
+
+    togglePostDetail(postId) {
+        this.expandedPostId = String(this.expandedPostId) === String(postId) ? null : postId;
+        this.renderPostsList();
+    }
+
+    /**
+     * Ids come back from the backend as numbers or strings, and from the page as strings
+     */
+    isPostExpanded(post) {
+        return this.expandedPostId !== null && String(this.expandedPostId) === String(post.id);
+    }
+
+    getPostStatusClass(status) {
+        return status === 'posted' ? 'success' : status === 'failed' ? 'error' : 'warning';
+    }
+
+    getPostStatusIcon(status) {
+        return status === 'posted' ? '✓' : status === 'failed' ? '✗' : '⏳';
+    }
+
+    renderMediaPreview(mediaUrl) {
+        const url = Utils.getSafeMediaUrl(mediaUrl);
+        
+        // Anything but http(s) is shown as text, never linked or loaded
+        if (!url) {
+            return `<div class="preview-media">${Utils.sanitizeHtml(mediaUrl)}</div>`;
+        }
+        
+        const safeUrl = Utils.escapeAttribute(url);
+        
+        // Plain URLs carry no type information, so go by the extension
+        if (mediaUrl.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
+            return `<div class="preview-media"><img src="${safeUrl}" alt="Preview image" style="max-width: 100%; border-radius: 8px;"></div>`;
+        } else if (mediaUrl.match(/\.(mp4|mov|avi|webm)$/i)) {
+            return `<div class="preview-media"><video src="${safeUrl}" controls style="max-width: 100%; border-radius: 8px;"></video></div>`;
+        }
+        
+        return `<div class="preview-media"><a href="${safeUrl}" target="_blank" rel="noopener">${Utils.sanitizeHtml(mediaUrl)}</a></div>`;
+    }
+
+    async initializeQueues() {
+        try {
+            await this.loadQueues();
+            this.renderQueues(await this.loadPendingPosts());
+        } catch (error) {
+            console.error('Failed to load queues:', error);
+            Utils.showNotification('Failed to load posting queues', 'error');
+        }
+    }
+
+    async loadQueues() {
+        const result = await API.getQueues(this.currentUser.email);
+        
+        if (result.success) {
+            this.queues = {};
+            (result.queues || []).forEach(queue => {
+                this.queues[queue.platform] = queue;
+            });
+        }
+        
+        return this.queues || {};
+    }
+
+    getQueue(platform) {
+        const queue = this.queues && this.queues[platform];
+        return queue && queue.days && queue.days.length > 0 && queue.times && queue.times.length > 0 ? queue : null;
+    }
+
+    async loadPendingPosts() {
+        const result = await API.getUserPosts(this.currentUser.email, {
+            status: 'pending',
+            from: new Date().toISOString(),
+            sort_by: 'scheduled_time',
+            sort_order: 'asc',
+            limit: 500
+        });
+        
+        return result.success ? result.posts || [] : [];
+    }
+
+    renderQueues(pendingPosts) {
+        const queueList = document.getElementById('queueList');
+        if (!queueList) return;
+        
+        if (this.tokens.length === 0) {
+            queueList.innerHTML = `
+                <div class="platform-card">
+                    <div class="platform-header">
+                        <div class="platform-icon">📥</div>
+                        <div class="platform-name">No platforms connected</div>
+                    </div>
+                    <div class="platform-details">
+                        <p>Connect a platform to give it a posting queue</p>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+        
+        queueList.innerHTML = this.tokens.map(token => {
+            const platform = token.platform;
+            const queue = (this.queues && this.queues[platform]) || { platform, days: [], times: [] };
+            const timezone = queue.timezone || this.userTimezone;
+            const freeSlots = this.getQueue(platform) ?
+                QueueAllocator.getFreeSlots({ ...queue, timezone }, pendingPosts, 3) :
+                [];
+            
+            return `
+                <div class="platform-card">
+                    <div class="platform-header">
+                        <div class="platform-icon">${Utils.getPlatformIcon(platform)}</div>
+                        <div class="platform-name">${Utils.getPlatformDisplayName(platform)}</div>
+                        <div class="platform-status">
+                            <span class="badge ${this.getQueue(platform) ? 'success' : 'warning'}">
+                                ${this.getQueue(platform) ? 'Active' : 'Not set'}
+                            </span>
+                        </div>
+                    </div>
+                    <div class="platform-details">
+                        <p>${QueueAllocator.describe(queue)}</p>
+                    </div>
+                    <div class="recurrence-weekdays">
+                        ${RECURRENCE_WEEKDAYS.map((day, index) => `
+                            <label>
+                                <input type="checkbox" name="queueDays_${platform}" value="${day}" ${queue.days.includes(day) ? 'checked' : ''}>
+                                ${ContentCalendar.WEEKDAY_NAMES[index]}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div class="form-group">
+                        <label for="queueTimes_${platform}" class="form-label">Times</label>
+                        <input 
+                            type="text" 
+                            id="queueTimes_${platform}" 
+                            class="form-input" 
+                            placeholder="09:00, 13:00, 18:00"
+                            value="${queue.times.join(', ')}"
+                            oninput="dashboard.clearFieldError('queueTimes_${platform}')"
+                        >
+                        <div class="form-error" id="queueTimes_${platform}Error"></div>
+                        <div class="form-hint">24-hour times in ${timezone.replace(/_/g, ' ')}</div>
+                    </div>
+                    ${freeSlots.length > 0 ? `
+                        <div class="platform-details">
+                            <strong>Next free slots:</strong>
+                            <ol class="queue-slots">
+                                ${freeSlots.map(slot => `<li>${Utils.formatDate(slot, timezone)}</li>`).join('')}
+                            </ol>
+                        </div>
+                    ` : ''}
+                    <div class="platform-actions">
+                        <button class="btn btn-primary btn-small" onclick="dashboard.saveQueue('${platform}')">
+                            Save Queue
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async saveQueue(platform) {
+        const field = `queueTimes_${platform}`;
+        const parsed = QueueAllocator.parseTimes(document.getElementById(field).value);
+        const existing = this.queues && this.queues[platform];
+        const queue = {
+            platform: platform,
+            days: Array.from(document.querySelectorAll(`input[name="queueDays_${platform}"]:checked`)).map(input => input.value),
+            times: parsed.times,
+            timezone: (existing && existing.timezone) || this.userTimezone
+        };
+        
+        if (parsed.invalid.length > 0) {
+            this.showFieldError(field, `Use 24-hour times like 09:00. Not understood: ${parsed.invalid.join(', ')}`);
+            return;
+        }
+        
+        const validation = QueueAllocator.validate(queue);
+        if (!validation.isValid) {
+            this.showFieldError(field, validation.errors.join('. '));
+            return;
+        }
+        
+        try {
+            Utils.showLoading();
+            
+            const result = await API.saveQueue(queue);
+            
+            if (result.success) {
+                Utils.showNotification(result.message || `${Utils.getPlatformDisplayName(platform)} queue saved`, 'success');
+                API.clearUserCache(this.currentUser.email);
+                await this.initializeQueues();
+            }
+        } catch (error) {
+            console.error('Failed to save queue:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    async handleAddToQueue() {
+        const form = document.getElementById('scheduleForm');
+        const formData = new FormData(form);
+        const platforms = this.getSelectedPlatforms();
+        const overrides = this.getPlatformOverrides(platforms);
+        const queueBtn = document.getElementById('queueBtn');
+        
+        if (this.getRecurrenceRule()) {
+            Utils.showNotification('Queued posts go out once. Set Repeat to "Does not repeat" to queue this post.', 'error');
+            return;
+        }
+        
+        try {
+            Utils.showLoading(queueBtn);
+            
+            await this.loadQueues();
+            
+            const missing = platforms.filter(platform => !this.getQueue(platform));
+            if (missing.length > 0) {
+                const names = missing.map(platform => Utils.getPlatformDisplayName(platform)).join(', ');
+                Utils.showNotification(`Set up a posting queue for ${names} first`, 'error');
+                return;
+            }
+            
+            // Each platform takes the next free slot in its own queue
+            const pendingPosts = await this.loadPendingPosts();
+            const slots = {};
+            platforms.forEach(platform => {
+                slots[platform] = QueueAllocator.findNextFreeSlot(this.getQueue(platform), pendingPosts);
+            });
+            
+            const full = platforms.filter(platform => !slots[platform]);
+            if (full.length > 0) {
+                const names = full.map(platform => Utils.getPlatformDisplayName(platform)).join(', ');
+                Utils.showNotification(`No free queue slot in the next ${QueueAllocator.HORIZON_WEEKS} weeks for ${names}`, 'error');
+                return;
+            }
+            
+            const postData = {
+                platforms: platforms,
+                message: formData.get('message'),
+                media: this.getPostMedia(),
+                media_url: this.attachments.length > 0 ? this.attachments[0].media_url : formData.get('mediaUrl'),
+                media_id: this.attachments.length > 0 ? this.attachments[0].media_id : null,
+                // Validated against the earliest slot; each platform gets its own below
+                schedule: platforms.map(platform => slots[platform]).sort()[0],
+                timezone: this.userTimezone,
+                rrule: null
+            };
+            
+            const threaded = this.getThreadedPlatforms(platforms, postData.message, overrides);
+            
+            if (!this.validateScheduleForm(postData, overrides, threaded)) {
+                return;
+            }
+            
+            const threads = this.buildThreads(threaded, postData.message, overrides);
+            if (!threads) {
+                return;
+            }
+            
+            await this.schedulePlatformPosts(postData, overrides, threads, slots, {
+                timezones: Object.fromEntries(platforms.map(platform => [platform, this.getQueue(platform).timezone])),
+                fields: { queued: true },
+                label: 'Queued',
+                groupMessage: 'Post added to each platform\'s queue'
+            });
+        } catch (error) {
+            console.error('Failed to add post to queue:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading(queueBtn);
+        }
+    }
+
+    /**
+     * Create one post per platform, each at its own time from `slots`, and
+     * show how each platform did
+     */
+    async schedulePlatformPosts(postData, overrides, threads, slots, options) {
+        const platforms = postData.platforms;
+        
+        if (!(await this.ensureQuota(platforms.map(platform => slots[platform])))) {
+            return;
+        }
+        
+        document.getElementById('groupResults').classList.add('hidden');
+        
+        const results = [];
+        for (const platform of platforms) {
+            const timezone = options.timezones[platform];
+            const post = this.buildSinglePost({
+                ...postData,
+                platforms: [platform],
+                schedule: slots[platform],
+                timezone: timezone
+            }, overrides, threads);
+            
+            try {
+                const result = await API.schedulePost({ ...post, ...options.fields });
+                results.push({
+                    platform: platform,
+                    success: result.success,
+                    message: `${options.label} for ${Utils.formatDate(slots[platform], timezone)}`
+                });
+            } catch (error) {
+                results.push({ platform: platform, success: false, message: error.message });
+            }
+        }
+        
+        const rejected = platforms.length > 1 ?
+            this.showGroupResults(results) :
+            results.filter(item => !item.success).map(item => item.platform);
+        
+        if (rejected.length === 0) {
+            Utils.showNotification(platforms.length > 1 ? options.groupMessage : results[0].message, 'success');
+            this.exitEditMode();
+        } else if (platforms.length > 1) {
+            Utils.showNotification(
+                `${rejected.length} of ${platforms.length} platforms rejected the post. Fix and resubmit them below.`,
+                'warning'
+            );
+            this.setSelectedPlatforms(rejected);
+        } else {
+            Utils.showNotification(results[0].message, 'error');
+        }
+        
+        await this.refreshPostData();
+    }
+
+    /**
+     * Close the gap `removedPost` leaves in its platform's queue. Pass
+     * { moved: true } when the post was rescheduled rather than removed.
+     */
+    async repackQueue(removedPost, options = {}) {
+        try {
+            await this.loadQueues();
+            
+            const queue = this.getQueue(removedPost.platform);
+            if (!queue) return;
+            
+            // Re-read the queue without the removed post
+            API.clearUserCache(this.currentUser.email);
+            const moves = QueueAllocator.repack(queue, removedPost, await this.loadPendingPosts(), options);
+            
+            for (const move of moves) {
+                await API.reschedulePost(move.post.id, move.schedule, move.post.timezone || queue.timezone);
+            }
+            
+            if (moves.length > 0) {
+                Utils.showNotification(
+                    `${moves.length} queued post${moves.length > 1 ? 's' : ''} moved up to fill the gap`,
+                    'info'
+                );
+            }
+        } catch (error) {
+            console.error('Failed to re-pack queue:', error);
+            Utils.showNotification('Later queued posts could not be moved up to fill the gap', 'warning');
+        }
+    }
+
+    async exportPosts(format) {
+        if (!this.requireFeature('export')) return;
+        
+        try {
+            Utils.showLoading();
+            
+            // The filters applied to the history list, without its paging
+            const posts = DataExporter.formatPosts(
+                await API.getAllUserPosts(this.currentUser.email, this.historyFilters)
+            );
+            
+            if (posts.length === 0) {
+                Utils.showNotification('No posts match the current filters', 'warning');
+                return;
+            }
+            
+            const content = format === 'json' ?
+                DataExporter.toJson({ exported_at: new Date().toISOString(), filters: this.historyFilters, posts: posts }) :
+                DataExporter.toCsv(posts, DataExporter.POST_COLUMNS);
+            
+            DataExporter.download(
+                content,
+                DataExporter.getFileName('posts', format),
+                format === 'json' ? 'application/json' : 'text/csv'
+            );
+            Utils.showNotification(`Exported ${posts.length} posts`, 'success');
+        } catch (error) {
+            console.error('Failed to export posts:', error);
+            Utils.showNotification('Failed to export posts', 'error');
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    async exportStats(format) {
+        if (!this.requireFeature('export')) return;
+        
+        try {
+            Utils.showLoading();
+            
+            // The history list's date and platform filters; status and sorting don't apply to stats
+            const filters = {};
+            ['from', 'to', 'platform'].forEach(key => {
+                if (this.historyFilters[key]) {
+                    filters[key] = this.historyFilters[key];
+                }
+            });
+            
+            const result = await API.getUserStats(this.currentUser.email, filters);
+            if (!result.success) {
+                Utils.showNotification(result.message || 'Failed to export stats', 'error');
+                return;
+            }
+            
+            const content = format === 'json' ?
+                DataExporter.toJson({ exported_at: new Date().toISOString(), filters: filters, stats: result.stats }) :
+                DataExporter.toCsv(DataExporter.flattenStats(result.stats), ['metric', 'value']);
+            
+            DataExporter.download(
+                content,
+                DataExporter.getFileName('stats', format),
+                format === 'json' ? 'application/json' : 'text/csv'
+            );
+        } catch (error) {
+            console.error('Failed to export stats:', error);
+            Utils.showNotification('Failed to export stats', 'error');
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    async loadAnalytics() {
+        const tz = this.userTimezone;
+        const lastDay = ContentCalendar.today(tz);
+        const firstDay = ContentCalendar.addDays(lastDay, -(this.analyticsRange - 1));
+        const range = {
+            from: Utils.zonedTimeToUtc(`${firstDay}T00:00`, tz),
+            to: Utils.zonedTimeToUtc(`${ContentCalendar.addDays(lastDay, 1)}T00:00`, tz)
+        };
+        
+        try {
+            Utils.showLoading();
+            
+            const result = await API.getUserStats(this.currentUser.email, { ...range, timezone: tz });
+            let stats = result.stats || {};
+            
+            // Older backends only return the overview; work the rest out from the posts
+            if (!Array.isArray(stats.timeline)) {
+                const posts = await API.getAllUserPosts(this.currentUser.email, range);
+                stats = PostAnalytics.summarize(posts, tz, firstDay, lastDay);
+            }
+            
+            this.analytics = stats;
+            this.renderAnalytics();
+        } catch (error) {
+            console.error('Failed to load analytics:', error);
+            Utils.showNotification('Failed to load analytics', 'error');
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    renderAnalytics() {
+        document.querySelectorAll('#analyticsGrouping [data-grouping]').forEach(button => {
+            button.classList.toggle('active', button.dataset.grouping === this.analyticsGrouping);
+        });
+        
+        const stats = this.analytics;
+        if (!stats) return;
+        
+        const totals = PostAnalytics.sumBuckets(stats.timeline);
+        const successRate = PostAnalytics.getSuccessRate(totals);
+        
+        document.getElementById('analyticsTotal').textContent = totals.total;
+        document.getElementById('analyticsSuccessRate').textContent = successRate === null ? '–' : `${successRate}%`;
+        document.getElementById('analyticsFailed').textContent = totals.failed;
+        document.getElementById('analyticsBusiest').textContent = this.getBusiestTime(stats);
+        
+        // Posts and success rate over time
+        const weekly = this.analyticsGrouping === 'week';
+        const buckets = weekly ? PostAnalytics.groupByWeek(stats.timeline) : stats.timeline;
+        const label = bucket => weekly ?
+            `Week of ${PostAnalytics.formatDayLabel(bucket.date)}` :
+            PostAnalytics.formatDayLabel(bucket.date);
+        
+        document.getElementById('analyticsVolumeTitle').textContent = weekly ? 'Posts per Week' : 'Posts per Day';
+        document.getElementById('analyticsVolumeChart').innerHTML = SvgCharts.barChart(
+            buckets.map(bucket => ({ label: label(bucket), values: bucket })),
+            { series: this.getAnalyticsSeries() }
+        );
+        
+        document.getElementById('analyticsSuccessChart').innerHTML = SvgCharts.lineChart(
+            buckets.map(bucket => ({ label: label(bucket), value: PostAnalytics.getSuccessRate(bucket) })),
+            { max: 100, suffix: '%', className: 'success' }
+        );
+        
+        // Platform breakdown
+        const platforms = stats.platforms || [];
+        document.getElementById('analyticsPlatforms').innerHTML = platforms.length === 0 ? SvgCharts.empty() : `
+            <table class="analytics-table">
+                <thead>
+                    <tr>
+                        <th>Platform</th>
+                        <th>Posts</th>
+                        <th>Posted</th>
+                        <th>Failed</th>
+                        <th>Success</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${platforms.map(item => `
+                        <tr>
+                            <td>${Utils.getPlatformIcon(item.platform)} ${Utils.getPlatformDisplayName(item.platform)}</td>
+                            <td>${item.total}</td>
+                            <td>${item.posted}</td>
+                            <td>${item.failed}</td>
+                            <td>${item.successRate === null ? '–' : `${item.successRate}%`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${SvgCharts.barChart(
+                platforms.map(item => ({ label: Utils.getPlatformDisplayName(item.platform), values: item })),
+                { series: this.getAnalyticsSeries(), height: 160 }
+            )}
+        `;
+        
+        document.getElementById('analyticsFailures').innerHTML = SvgCharts.rankingChart(
+            (stats.failureReasons || []).map(item => ({ label: item.reason, value: item.count })),
+            { className: 'error', emptyText: 'No failed posts in this period' }
+        );
+        
+        // When posts go out
+        document.getElementById('analyticsHoursChart').innerHTML = SvgCharts.barChart(
+            (stats.hours || []).map((count, hour) => ({ label: String(hour).padStart(2, '0'), values: { value: count } })),
+            { height: 160 }
+        );
+        
+        document.getElementById('analyticsWeekdaysChart').innerHTML = SvgCharts.barChart(
+            (stats.weekdays || []).map((count, index) => ({ label: ContentCalendar.WEEKDAY_NAMES[index], values: { value: count } })),
+            { height: 160 }
+        );
+    }
+
+    getAnalyticsSeries() {
+        return [
+            { key: 'posted', label: 'Posted', className: 'success' },
+            { key: 'failed', label: 'Failed', className: 'error' },
+            { key: 'pending', label: 'Pending', className: 'warning' }
+        ];
+    }
+
+    /**
+     * Most common weekday and hour, e.g. "Tue 09:00"
+     */
+    getBusiestTime(stats) {
+        const hours = stats.hours || [];
+        const weekdays = stats.weekdays || [];
+        if (!hours.some(count => count > 0)) return '–';
+        
+        const hour = hours.indexOf(Math.max(...hours));
+        const weekday = weekdays.indexOf(Math.max(...weekdays));
+        
+        return `${ContentCalendar.WEEKDAY_NAMES[weekday] || ''} ${String(hour).padStart(2, '0')}:00`.trim();
+    }
+
+    async handleBulkFile(event) {
+        const file = event.target.files[0];
+        this.clearFieldError('bulkFile');
+        
+        if (!file) return;
+        
+        if (!this.requireFeature('bulk')) {
+            event.target.value = '';
+            return;
+        }
+        
+        try {
+            const rows = BulkImporter.parse(await file.text(), file.name);
+            
+            this.bulkRows = rows.map((values, index) => ({
+                id: index + 1,
+                values: values,
+                status: null,
+                message: ''
+            }));
+            this.validateBulkRows();
+            this.renderBulkRows();
+        } catch (error) {
+            this.showFieldError('bulkFile', error.message);
+            this.clearBulkImport(false);
+        }
+    }
+
+    validateBulkRows() {
+        const options = {
+            defaultTimezone: this.userTimezone,
+            connectedPlatforms: this.tokens.map(token => token.platform)
+        };
+        
+        this.bulkRows.forEach(row => {
+            if (row.status !== 'scheduled') {
+                row.validation = BulkImporter.validateRow(row.values, options);
+            }
+        });
+    }
+
+    updateBulkCell(rowId, field, value) {
+        const row = this.bulkRows.find(item => item.id === rowId);
+        if (!row) return;
+        
+        row.values[field] = value.trim();
+        // An edited row gets a fresh attempt
+        row.status = null;
+        row.message = '';
+        
+        this.validateBulkRows();
+        this.renderBulkRows();
+    }
+
+    removeBulkRow(rowId) {
+        this.bulkRows = this.bulkRows.filter(row => row.id !== rowId);
+        this.renderBulkRows();
+    }
+
+    clearBulkImport(resetInput = true) {
+        this.bulkRows = [];
+        
+        if (resetInput) {
+            document.getElementById('bulkFile').value = '';
+            this.clearFieldError('bulkFile');
+        }
+        
+        this.renderBulkRows();
+    }
+
+    renderBulkRows() {
+        const review = document.getElementById('bulkReview');
+        const tbody = document.getElementById('bulkRows');
+        if (!review || !tbody) return;
+        
+        review.classList.toggle('hidden', this.bulkRows.length === 0);
+        
+        const pending = this.bulkRows.filter(row => row.status !== 'scheduled');
+        const valid = pending.filter(row => row.validation.isValid);
+        const scheduled = this.bulkRows.length - pending.length;
+        const errorsOnly = document.getElementById('bulkErrorsOnly').checked;
+        
+        document.getElementById('bulkSummary').textContent =
+            `${this.bulkRows.length} rows: ${valid.length} ready, ${pending.length - valid.length} with errors` +
+            (scheduled > 0 ? `, ${scheduled} scheduled` : '');
+        
+        const submitText = document.querySelector('#bulkSubmitBtn .btn-text');
+        submitText.textContent = `Schedule ${valid.length} Valid Row${valid.length === 1 ? '' : 's'}`;
+        submitText.dataset.originalText = submitText.textContent;
+        document.getElementById('bulkSubmitBtn').disabled = valid.length === 0;
+        
+        // Imported files come from anywhere; values go through the attribute escaper
+        // so quotes can't close the value and add attributes of their own
+        const cell = (row, field, multiline = false) => {
+            const value = row.values[field] || '';
+            const error = row.validation.errors[field] ? ' error' : '';
+            const locked = row.status === 'scheduled' ? 'disabled' : '';
+            const onchange = `onchange="dashboard.updateBulkCell(${row.id}, '${field}', this.value)"`;
+            
+            return multiline ?
+                `<textarea class="form-textarea${error}" rows="2" ${onchange} ${locked}>${Utils.sanitizeHtml(value)}</textarea>` :
+                `<input type="text" class="form-input${error}" value="${Utils.escapeAttribute(value)}" ${onchange} ${locked}>`;
+        };
+        
+        tbody.innerHTML = this.bulkRows
+            .filter(row => !errorsOnly || (row.status !== 'scheduled' && !row.validation.isValid) || row.status === 'failed')
+            .map(row => {
+                const errors = Object.values(row.validation.errors);
+                const rowClass = row.status === 'scheduled' ? 'scheduled' :
+                    errors.length > 0 || row.status === 'failed' ? 'invalid' : '';
+                
+                let status;
+                if (row.status === 'scheduled') {
+                    status = `<span class="badge success">Scheduled</span>`;
+                } else if (row.status === 'failed') {
+                    status = `<span class="badge error">Rejected</span><div class="form-hint">${Utils.sanitizeHtml(row.message)}</div>`;
+                } else if (errors.length > 0) {
+                    status = `<ul class="bulk-errors">${errors.map(error => `<li>${Utils.sanitizeHtml(error)}</li>`).join('')}</ul>`;
+                } else {
+                    status = `<span class="badge warning">Ready</span>`;
+                }
+                
+                return `
+                    <tr class="${rowClass}">
+                        <td>${row.id}</td>
+                        <td>${cell(row, 'platform')}</td>
+                        <td>${cell(row, 'message', true)}</td>
+                        <td>${cell(row, 'media_url')}</td>
+                        <td>${cell(row, 'schedule')}</td>
+                        <td>${cell(row, 'timezone')}</td>
+                        <td>${status}</td>
+                        <td>
+                            ${row.status === 'scheduled' ? '' : `
+                                <button type="button" class="btn btn-text btn-small" onclick="dashboard.removeBulkRow(${row.id})" title="Remove row">✕</button>
+                            `}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+    }
+
+    async submitBulkImport() {
+        const submitBtn = document.getElementById('bulkSubmitBtn');
+        
+        // Re-check times in case the file sat in the browser for a while
+        this.validateBulkRows();
+        const rows = this.bulkRows.filter(row => row.status !== 'scheduled' && row.validation.isValid);
+        
+        if (rows.length === 0) {
+            this.renderBulkRows();
+            Utils.showNotification('There are no valid rows to schedule', 'error');
+            return;
+        }
+        
+        if (!this.requireFeature('bulk')) {
+            return;
+        }
+        
+        try {
+            Utils.showLoading(submitBtn);
+            
+            if (!(await this.ensureQuota(rows.map(row => row.validation.post.schedule)))) {
+                return;
+            }
+            
+            for (let start = 0; start < rows.length; start += BulkImporter.BATCH_SIZE) {
+                const batch = rows.slice(start, start + BulkImporter.BATCH_SIZE);
+                const result = await API.createPostBatch({
+                    batch_id: Utils.generateId('batch'),
+                    posts: batch.map(row => ({ ...row.validation.post, row: row.id }))
+                });
+                
+                // Results carry the row number; fall back to request order
+                const results = result.results || [];
+                batch.forEach((row, index) => {
+                    const item = results.find(entry => entry.row === row.id) || results[index] || { success: result.success };
+                    row.status = item.success ? 'scheduled' : 'failed';
+                    row.message = item.message || '';
+                });
+            }
+            
+            const failed = rows.filter(row => row.status === 'failed').length;
+            Utils.showNotification(
+                failed > 0 ?
+                    `${rows.length - failed} posts scheduled, ${failed} rejected. Fix the rejected rows and submit again.` :
+                    `${rows.length} posts scheduled`,
+                failed > 0 ? 'warning' : 'success'
+            );
+            
+            await this.refreshPostData();
+        } catch (error) {
+            console.error('Failed to import posts:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading(submitBtn);
+            this.renderBulkRows();
+        }
+    }
+
+    initializeCalendar() {
+        if (!this.calendarDate) {
+            this.calendarDate = ContentCalendar.today(this.userTimezone);
+        }
+        
+        this.loadCalendarPosts();
+    }
+
+    async loadCalendarPosts() {
+        const range = ContentCalendar.getRange(this.calendarView, this.calendarDate, this.userTimezone);
+        const request = ++this.calendarRequest;
+        
+        // Show the new period straight away; posts fill in once loaded
+        this.renderCalendar();
+        
+        try {
+            const posts = await API.getAllUserPosts(this.currentUser.email, {
+                from: range.from,
+                to: range.to,
+                sort_by: 'scheduled_time',
+                sort_order: 'asc'
+            });
+            
+            if (request !== this.calendarRequest) return;
+            
+            this.calendarPosts = posts;
+            this.renderCalendar();
+        } catch (error) {
+            if (request !== this.calendarRequest) return;
+            
+            console.error('Failed to load calendar posts:', error);
+            Utils.showNotification('Failed to load calendar', 'error');
+        }
+    }
+
+    changeCalendarPage(direction) {
+        this.showCalendarDay(ContentCalendar.shift(this.calendarView, this.calendarDate, direction), this.calendarView);
+    }
+
+    showCalendarDay(dayKey, view = 'day') {
+        this.calendarDate = dayKey;
+        this.calendarView = ContentCalendar.VIEWS.includes(view) ? view : 'month';
+        
+        document.querySelectorAll('#calendarViews [data-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.calendarView);
+        });
+        
+        this.loadCalendarPosts();
+    }
+
+    renderCalendar() {
+        const grid = document.getElementById('calendarGrid');
+        if (!grid) return;
+        
+        const limit = PlanEntitlements.getDailyLimit(this.currentUser);
+        const days = ContentCalendar.getDays(this.calendarView, this.calendarDate);
+        
+        document.getElementById('calendarTitle').textContent = ContentCalendar.getTitle(this.calendarView, this.calendarDate);
+        document.getElementById('calendarLimitNote').textContent =
+            `Days outlined in red go over your plan's limit of ${limit} posts per day`;
+        
+        grid.className = `calendar-grid ${this.calendarView}-view`;
+        grid.innerHTML = this.calendarView === 'month' ?
+            this.renderCalendarMonth(days, limit) :
+            this.renderCalendarHours(days, limit);
+    }
+
+    renderCalendarMonth(days, limit) {
+        const postsByDay = ContentCalendar.groupPosts(this.calendarPosts, this.userTimezone);
+        const today = ContentCalendar.today(this.userTimezone);
+        const month = this.calendarDate.slice(0, 7);
+        const maxVisible = 3;
+        
+        const headings = ContentCalendar.WEEKDAY_NAMES
+            .map(name => `<div class="calendar-heading">${name}</div>`)
+            .join('');
+        
+        return headings + days.map(day => {
+            const posts = postsByDay[day] || [];
+            const classes = [
+                day.slice(0, 7) !== month ? 'outside' : '',
+                day === today ? 'today' : '',
+                posts.length > limit ? 'over-limit' : ''
+            ].filter(Boolean).join(' ');
+            
+            return `
+                <div class="calendar-cell ${classes}" ${this.getCalendarSlotHandlers(day, null)}>
+                    <div class="calendar-cell-header">
+                        <span class="calendar-date">${Number(day.slice(8))}</span>
+                        ${posts.length > 0 ? `<span class="calendar-count">${posts.length}/${limit}</span>` : ''}
+                    </div>
+                    ${posts.slice(0, maxVisible).map(post => this.renderCalendarPost(post)).join('')}
+                    ${posts.length > maxVisible ? `
+                        <div class="calendar-more" onclick="event.stopPropagation(); dashboard.showCalendarDay('${day}')">
+                            +${posts.length - maxVisible} more
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderCalendarHours(days, limit) {
+        const postsByDay = ContentCalendar.groupPosts(this.calendarPosts, this.userTimezone);
+        const postsByHour = ContentCalendar.groupPosts(this.calendarPosts, this.userTimezone, true);
+        const today = ContentCalendar.today(this.userTimezone);
+        const pad = value => value.toString().padStart(2, '0');
+        
+        let html = '<div class="calendar-heading"></div>' + days.map(day => {
+            const count = (postsByDay[day] || []).length;
+            const classes = [
+                day === today ? 'today' : '',
+                count > limit ? 'over-limit' : ''
+            ].filter(Boolean).join(' ');
+            
+            return `
+                <div class="calendar-heading ${classes}">
+                    ${ContentCalendar.WEEKDAY_NAMES[ContentCalendar.getWeekdayIndex(day)]} ${Number(day.slice(8))}
+                    ${count > 0 ? `<span class="calendar-count">${count}/${limit}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        for (let hour = 0; hour < 24; hour++) {
+            html += `<div class="calendar-hour">${pad(hour)}:00</div>`;
+            html += days.map(day => `
+                <div class="calendar-cell slot" ${this.getCalendarSlotHandlers(day, hour)}>
+                    ${(postsByHour[`${day}T${pad(hour)}`] || []).map(post => this.renderCalendarPost(post)).join('')}
+                </div>
+            `).join('');
+        }
+        
+        return html;
+    }
+
+    getCalendarSlotHandlers(day, hour) {
+        return `
+            onclick="dashboard.scheduleAtSlot('${day}', ${hour})"
+            ondragover="dashboard.handleCalendarDragOver(event)"
+            ondragleave="this.classList.remove('drag-over')"
+            ondrop="dashboard.handleCalendarDrop(event, '${day}', ${hour})"
+        `;
+    }
+
+    renderCalendarPost(post) {
+        const time = Utils.formatDateTimeLocal(post.scheduled_time, this.userTimezone).slice(11);
+        
+        // Only posts still waiting to go out can be moved
+        const draggable = post.status === 'pending';
+        
+        return `
+            <div 
+                class="calendar-post ${this.getPostStatusClass(post.status)}"
+                title="${Utils.escapeAttribute(`${Utils.getPlatformDisplayName(post.platform)} (${post.status}): ${Utils.truncateText(post.message || '', 120)}`)}"
+                onclick="event.stopPropagation(); dashboard.openCalendarPost('${post.id}')"
+                ${draggable ? `draggable="true" ondragstart="dashboard.handleCalendarDragStart(event, '${post.id}')"` : ''}
+            >
+                ${Utils.getPlatformIcon(post.platform)} ${time} ${Utils.sanitizeHtml(Utils.truncateText(post.message || '', 40))}
+            </div>
+        `;
+    }
+
+    openCalendarPost(postId) {
+        const post = this.findPost(postId);
+        if (!post) return;
+        
+        if (post.status === 'pending') {
+            this.editPost(post.id);
+            return;
+        }
+        
+        const summary = `${Utils.getPlatformDisplayName(post.platform)} post ${post.status} ${Utils.formatRelativeTime(post.posted_at || post.scheduled_time)}`;
+        Utils.showNotification(
+            post.status === 'failed' ? `${summary}: ${post.error || 'no reason was recorded'}` : summary,
+            post.status === 'failed' ? 'error' : 'info'
+        );
+    }
+
+    scheduleAtSlot(day, hour) {
+        const today = ContentCalendar.today(this.userTimezone);
+        const value = `${day}T${hour === null ? '09' : hour.toString().padStart(2, '0')}:00`;
+        const isPast = new Date(Utils.zonedTimeToUtc(value, this.userTimezone)) < new Date();
+        
+        // A past hour can't be scheduled; today's month cell falls back to the form's default time
+        if (isPast && !(hour === null && day === today)) {
+            Utils.showNotification('That time has already passed. Pick a future slot.', 'warning');
+            return;
+        }
+        
+        if (this.editingPost) {
+            this.exitEditMode();
+        }
+        
+        this.showSection('schedule');
+        this.setActiveNav('schedule');
+        
+        // The form has been reset to the user's zone, which is the zone the calendar shows.
+        // Marking the time as picked keeps the best-time suggestions from replacing it.
+        if (!isPast) {
+            this.setScheduleTime(Utils.zonedTimeToUtc(value, this.userTimezone));
+        }
+    }
+
+    handleCalendarDragStart(event, postId) {
+        event.dataTransfer.setData('text/plain', postId);
+        event.dataTransfer.effectAllowed = 'move';
+    }
+
+    handleCalendarDragOver(event) {
+        event.preventDefault();
+        event.currentTarget.classList.add('drag-over');
+    }
+
+    async handleCalendarDrop(event, day, hour) {
+        event.preventDefault();
+        event.currentTarget.classList.remove('drag-over');
+        
+        const postId = event.dataTransfer.getData('text/plain');
+        const post = this.findPost(postId);
+        
+        if (!post || post.status !== 'pending') {
+            return;
+        }
+        
+        // Month cells keep the post's time of day; hour slots keep its minutes
+        const current = Utils.formatDateTimeLocal(post.scheduled_time, this.userTimezone);
+        const time = hour === null ? current.slice(11) : `${hour.toString().padStart(2, '0')}:${current.slice(14)}`;
+        const value = `${day}T${time}`;
+        
+        if (value === current) {
+            return;
+        }
+        
+        const schedule = Utils.zonedTimeToUtc(value, this.userTimezone);
+        if (new Date(schedule) < new Date()) {
+            Utils.showNotification('Posts can only be moved to a future time', 'error');
+            return;
+        }
+        
+        try {
+            Utils.showLoading();
+            
+            if (!(await this.ensureQuota([schedule], [post.id]))) {
+                return;
+            }
+            
+            // The post keeps the zone it was scheduled in
+            const result = await API.reschedulePost(post.id, schedule, post.timezone || this.userTimezone);
+            
+            if (result.success) {
+                Utils.showNotification(
+                    result.message || `Post moved to ${Utils.formatDate(schedule, this.userTimezone)}`,
+                    'success'
+                );
+                
+                // Close the gap the post leaves at its old time
+                if (post.queued) {
+                    await this.repackQueue(post, { moved: true });
+                }
+                
+                await this.refreshPostData();
+            }
+        } catch (error) {
+            console.error('Failed to reschedule post:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    updateRecurrenceOptions() {
+        const frequency = document.getElementById('repeatFrequency');
+        const options = document.getElementById('recurrenceOptions');
+        if (!frequency || !options) return;
+        
+        const value = frequency.value;
+        const units = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)' };
+        
+        options.classList.toggle('hidden', !value);
+        document.getElementById('repeatIntervalRow').classList.toggle('hidden', !units[value]);
+        document.getElementById('repeatIntervalUnit').textContent = units[value] || '';
+        document.getElementById('repeatWeekdays').classList.toggle('hidden', value !== 'WEEKLY');
+        document.getElementById('repeatRuleRow').classList.toggle('hidden', value !== 'CUSTOM');
+        // Custom rules carry their own COUNT or UNTIL
+        document.getElementById('repeatEndRow').classList.toggle('hidden', value === 'CUSTOM');
+        
+        this.updateRecurrencePreview();
+    }
+
+    getRecurrenceRule() {
+        const form = document.getElementById('scheduleForm');
+        const frequency = document.getElementById('repeatFrequency');
+        if (!form || !frequency || !frequency.value) return null;
+        
+        if (frequency.value === 'CUSTOM') {
+            return document.getElementById('repeatRule').value.trim().replace(/^RRULE:/i, '').toUpperCase();
+        }
+        
+        const formData = new FormData(form);
+        
+        return RecurrenceRule.fromOptions({
+            frequency: frequency.value,
+            interval: parseInt(formData.get('repeatInterval'), 10) || 1,
+            weekdays: formData.getAll('repeatDays'),
+            end: formData.get('repeatEnd'),
+            until: formData.get('repeatUntil'),
+            count: parseInt(formData.get('repeatCount'), 10) || null,
+            timeZone: this.getScheduleTimezone()
+        });
+    }
+
+    checkRecurrenceRule(postData) {
+        this.clearFieldError('repeatRule');
+        
+        if (!postData.rrule) {
+            return true;
+        }
+        
+        const validation = RecurrenceRule.validate(postData.rrule);
+        if (!validation.isValid) {
+            this.showFieldError('repeatRule', validation.errors[0]);
+            return false;
+        }
+        
+        const scheduleTime = document.getElementById('scheduleTime').value;
+        const runs = RecurrenceRule.getOccurrences(postData.rrule, scheduleTime, postData.timezone, 1);
+        if (runs.length === 0) {
+            this.showFieldError('repeatRule', 'This rule has no runs on or after the schedule time');
+            return false;
+        }
+        
+        return true;
+    }
+
+    updateRecurrencePreview() {
+        const preview = document.getElementById('recurrencePreview');
+        const scheduleTime = document.getElementById('scheduleTime');
+        if (!preview || !scheduleTime) return;
+        
+        const rrule = this.getRecurrenceRule();
+        const timezone = this.getScheduleTimezone();
+        
+        if (!rrule || !this.checkRecurrenceRule({ rrule, timezone })) {
+            preview.innerHTML = '';
+            return;
+        }
+        
+        const runs = RecurrenceRule.getOccurrences(rrule, scheduleTime.value, timezone);
+        
+        preview.innerHTML = `
+            <strong>${Utils.sanitizeHtml(RecurrenceRule.describe(rrule, timezone))}</strong>
+            <div>Next ${runs.length} run${runs.length === 1 ? '' : 's'}:</div>
+            <ol>
+                ${runs.map(run => `<li>${Utils.formatDate(run, timezone)}</li>`).join('')}
+            </ol>
+        `;
+    }
+
+    async handleMediaSelect(event) {
+        const input = event.target;
+        const files = Array.from(input.files);
+        
+        // The attachments are listed in the gallery, not in the file input
+        input.value = '';
+        this.clearFieldError('mediaFile');
+        if (files.length === 0) return;
+        
+        const platforms = this.getSelectedPlatforms();
+        const items = [];
+        
+        for (const file of files) {
+            try {
+                const media = await MediaService.inspectFile(file);
+                items.push({ ...media, id: Utils.generateId('media'), file: file, alt_text: '', progress: 0 });
+            } catch (error) {
+                this.showFieldError('mediaFile', `${file.name}: ${error.message}`);
+                return;
+            }
+        }
+        
+        const validation = MediaService.validateAttachments([...this.attachments, ...items], platforms);
+        if (!validation.isValid) {
+            this.showFieldError('mediaFile', validation.errors.join('. '));
+            return;
+        }
+        
+        this.attachments.push(...items);
+        this.renderMediaGallery();
+        
+        // Later selections wait for earlier ones, so one file uploads at a time
+        if (!this.mediaUploadController) {
+            this.mediaUploadController = new AbortController();
+        }
+        
+        const controller = this.mediaUploadController;
+        this.mediaUploadQueue = this.mediaUploadQueue.then(() => this.uploadAttachments(items, controller));
+        await this.mediaUploadQueue;
+    }
+
+    /**
+     * Upload new attachments in order. Once `controller` is aborted (the
+     * attachments were cleared) results are dropped instead of written back.
+     */
+    async uploadAttachments(items, controller) {
+        const signal = controller.signal;
+        
+        for (const item of items) {
+            if (signal.aborted) return;
+            if (!this.attachments.includes(item)) continue;
+            
+            try {
+                const result = await MediaService.upload(item.file, progress => {
+                    if (signal.aborted) return;
+                    
+                    item.progress = progress;
+                    this.renderMediaGallery();
+                }, signal);
+                
+                if (signal.aborted) return;
+                
+                item.media_id = result.media_id;
+                item.media_url = result.media_url;
+                item.previewUrl = URL.createObjectURL(item.file);
+                item.progress = null;
+            } catch (error) {
+                if (signal.aborted) return;
+                
+                console.error('Failed to upload media:', error);
+                this.removeAttachment(item.id);
+                this.showFieldError('mediaFile', `Upload of ${item.name} failed: ${error.message}`);
+            }
+            
+            this.renderMediaGallery();
+        }
         
-        if (!platform) {
-            fieldsContainer.innerHTML = '';
-            return;
+        if (this.mediaUploadController === controller && !this.isMediaUploading()) {
+            this.mediaUploadController = null;
         }
         
-        // Platform-specific field configuration
-        const fieldConfigs = {
-            telegram: [
-                { name: 'token', label: 'Bot Token', type: 'text', placeholder: '123456:ABC-DEF1234ghIkl-zyx57W2v1u123ew11' },
-                { name: 'page_id_chat_id', label: 'Chat ID', type: 'text', placeholder: '-1001234567890' }
-            ],
-            facebook: [
-                { name: 'token', label: 'Page Access Token', type: 'text', placeholder: 'EAACEdEose0cBA...' },
-                { name: 'page_id_chat_id', label: 'Page ID', type: 'text', placeholder: '123456789012345' }
-            ],
-            twitter: [
-                { name: 'token', label: 'Bearer Token', type: 'text', placeholder: 'AAAAAAAAAAAAAAAAAAAAA...' },
-                { name: 'page_id_chat_id', label: 'Account ID', type: 'text', placeholder: '123456789' }
-            ]
+        this.updatePostPreview();
+    }
+
+    isMediaUploading() {
+        return this.attachments.some(item => item.progress !== null && item.progress !== undefined);
+    }
+
+    setAttachments(media) {
+        this.removeAllMedia();
+        
+        // Media already stored on the backend, e.g. when editing a post
+        this.attachments = media.map(item => ({
+            ...this.toStoredAttachment(item),
+            id: Utils.generateId('media'),
+            media_id: item.media_id,
+            media_url: item.media_url,
+            previewUrl: item.media_url,
+            alt_text: item.alt_text || '',
+            progress: null
+        }));
+        
+        this.renderMediaGallery();
+    }
+
+    /**
+     * Attachment details of media stored with a post, in the shape MediaService checks
+     */
+    toStoredAttachment(item) {
+        return {
+            name: item.name || (item.media_url || '').split('/').pop() || 'attachment',
+            kind: item.kind || 'image',
+            size: item.size || 0,
+            mimeType: item.mime_type || null,
+            width: item.width || null,
+            height: item.height || null
         };
+    }
+
+    /**
+     * Render the attachment list. Items are kept by ID and only updated, so
+     * upload progress and reordering don't reset or blur an alt text field
+     * being typed in.
+     */
+    renderMediaGallery() {
+        const gallery = document.getElementById('mediaGallery');
+        if (!gallery) return;
         
-        const fields = fieldConfigs[platform] || [
-            { name: 'token', label: 'Access Token', type: 'text', placeholder: 'Enter access token' },
-            { name: 'page_id_chat_id', label: 'Account ID', type: 'text', placeholder: 'Enter account ID' }
-        ];
+        gallery.classList.toggle('hidden', this.attachments.length === 0);
         
-        fieldsContainer.innerHTML = fields.map(field => `
-            <div class="form-group">
-                <label for="${field.name}" class="form-label">${field.label}</label>
-                <input 
-                    type="${field.type}" 
-                    id="${field.name}" 
-                    name="${field.name}" 
-                    class="form-input" 
-                    placeholder="${field.placeholder}"
-                    required
-                >
+        const existing = new Map(Array.from(gallery.children).map(element => [element.dataset.mediaId, element]));
+        
+        this.attachments.forEach((media, index) => {
+            const element = existing.get(media.id) || this.createMediaItem(media);
+            existing.delete(media.id);
+            this.updateMediaItem(element, media, index);
+            
+            // Only move elements that are out of place; moving one drops its focus
+            if (gallery.children[index] !== element) {
+                gallery.insertBefore(element, gallery.children[index] || null);
+            }
+        });
+        
+        existing.forEach(element => element.remove());
+    }
+
+    /**
+     * Build a gallery item. User-supplied values (file name, alt text) are
+     * set as text and properties, never parsed as HTML.
+     */
+    createMediaItem(media) {
+        const element = document.createElement('div');
+        element.className = 'media-item';
+        element.dataset.mediaId = media.id;
+        element.innerHTML = `
+            <span class="media-position"></span>
+            <span class="platform-icon"></span>
+            <div class="media-details">
+                <div class="media-name"></div>
+                <div class="media-meta"></div>
+                <input type="text" class="form-input media-alt">
             </div>
-        `).join('');
+            <div class="media-controls">
+                <button type="button" class="btn btn-text btn-small" title="Move earlier" data-action="earlier">↑</button>
+                <button type="button" class="btn btn-text btn-small" title="Move later" data-action="later">↓</button>
+                <button type="button" class="btn btn-text btn-small" title="Remove" data-action="remove">✕</button>
+            </div>
+        `;
+        
+        const altInput = element.querySelector('.media-alt');
+        altInput.value = media.alt_text || '';
+        altInput.placeholder = `Alt text describing this ${media.kind}`;
+        altInput.addEventListener('input', () => this.setAltText(media.id, altInput.value));
+        
+        element.querySelector('[data-action="earlier"]').addEventListener('click', () => this.moveAttachment(media.id, -1));
+        element.querySelector('[data-action="later"]').addEventListener('click', () => this.moveAttachment(media.id, 1));
+        element.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeAttachment(media.id));
+        
+        return element;
+    }
+
+    updateMediaItem(element, media, index) {
+        const details = [media.kind];
+        if (media.size) details.push(Utils.formatFileSize(media.size));
+        if (media.width && media.height) details.push(`${media.width}×${media.height}`);
+        
+        const uploading = media.progress !== null && media.progress !== undefined;
+        
+        element.querySelector('.media-position').textContent = index + 1;
+        element.querySelector('.platform-icon').textContent =
+            media.kind === 'video' ? '🎬' : media.kind === 'document' ? '📄' : '🖼️';
+        element.querySelector('.media-name').textContent = media.name;
+        element.querySelector('.media-meta').textContent =
+            `${details.join(' · ')}${uploading ? ` · Uploading ${media.progress}%` : ''}`;
+        
+        element.querySelector('[data-action="earlier"]').disabled = index === 0;
+        element.querySelector('[data-action="later"]').disabled = index === this.attachments.length - 1;
+        element.querySelector('[data-action="remove"]').disabled = uploading;
+    }
+
+    setAltText(mediaId, altText) {
+        const media = this.attachments.find(item => item.id === mediaId);
+        if (media) {
+            media.alt_text = altText;
+        }
+    }
+
+    moveAttachment(mediaId, offset) {
+        const index = this.attachments.findIndex(item => item.id === mediaId);
+        this.moveAttachmentTo(mediaId, index + offset);
+    }
+
+    moveAttachmentTo(mediaId, targetIndex) {
+        const index = this.attachments.findIndex(item => item.id === mediaId);
+        if (index === -1 || targetIndex < 0 || targetIndex >= this.attachments.length) return;
+        
+        const [media] = this.attachments.splice(index, 1);
+        this.attachments.splice(targetIndex, 0, media);
+        
+        this.renderMediaGallery();
+        this.updatePostPreview();
+    }
+
+    handleGalleryDragStart(event, mediaId) {
+        event.dataTransfer.setData('text/plain', mediaId);
+        event.dataTransfer.effectAllowed = 'move';
+    }
+
+    handleGalleryDrop(event, targetId) {
+        event.preventDefault();
+        
+        const mediaId = event.dataTransfer.getData('text/plain');
+        const targetIndex = this.attachments.findIndex(item => item.id === targetId);
+        
+        if (mediaId && mediaId !== targetId) {
+            this.moveAttachmentTo(mediaId, targetIndex);
+        }
+    }
+
+    removeAttachment(mediaId) {
+        const media = this.attachments.find(item => item.id === mediaId);
+        
+        if (media && media.file && media.previewUrl) {
+            URL.revokeObjectURL(media.previewUrl);
+        }
+        
+        this.attachments = this.attachments.filter(item => item.id !== mediaId);
+        this.checkAttachedMedia();
+        this.renderMediaGallery();
+        this.updatePostPreview();
+    }
+
+    removeAllMedia() {
+        // Uploads still running belong to the attachments being cleared
+        if (this.mediaUploadController) {
+            this.mediaUploadController.abort();
+            this.mediaUploadController = null;
+        }
+        
+        this.attachments
+            .filter(media => media.file && media.previewUrl)
+            .forEach(media => URL.revokeObjectURL(media.previewUrl));
+        
+        this.attachments = [];
+        this.clearFieldError('mediaFile');
+        this.renderMediaGallery();
+    }
+
+    checkAttachedMedia(platforms = this.getSelectedPlatforms()) {
+        if (this.attachments.length === 0) {
+            this.clearFieldError('mediaFile');
+            return true;
+        }
+        
+        const validation = MediaService.validateAttachments(this.attachments, platforms);
+        
+        if (validation.isValid) {
+            this.clearFieldError('mediaFile');
+        } else {
+            this.showFieldError('mediaFile', validation.errors.join('. '));
+        }
+        
+        return validation.isValid;
+    }
+
+    getPostMedia() {
+        return this.attachments.map((media, index) => ({
+            media_id: media.media_id,
+            media_url: media.media_url,
+            kind: media.kind,
+            alt_text: media.alt_text.trim(),
+            position: index + 1
+        }));
+    }
+
+    renderMediaGalleryPreview(media, reorderable) {
+        return `
+            <div class="preview-gallery ${media.length > 1 ? 'multiple' : ''}">
+                ${media.map(item => `
+                    <div class="preview-gallery-item" 
+                        ${reorderable ? `draggable="true"
+                        ondragstart="dashboard.handleGalleryDragStart(event, '${item.id}')"
+                        ondragover="event.preventDefault()"
+                        ondrop="dashboard.handleGalleryDrop(event, '${item.id}')"` : ''}
+                    >
+                        ${this.renderGalleryPreviewItem(item)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderGalleryPreviewItem(item) {
+        const isVisual = ['image', 'gif', 'video'].includes(item.kind);
+        const url = Utils.getSafeMediaUrl(isVisual ? item.previewUrl || item.media_url : item.media_url);
+        const name = Utils.sanitizeHtml(item.name || item.media_url);
+        
+        if (!url) {
+            return `📄 ${name}`;
+        }
+        
+        if (item.kind === 'image' || item.kind === 'gif') {
+            return `<img src="${Utils.escapeAttribute(url)}" alt="${Utils.escapeAttribute(item.alt_text || '')}">`;
+        }
+        
+        if (item.kind === 'video') {
+            return `<video src="${Utils.escapeAttribute(url)}" controls></video>`;
+        }
+        
+        return `<a href="${Utils.escapeAttribute(url)}" target="_blank" rel="noopener">📄 ${name}</a>`;
     }
 
     updatePostPreview() {
@@ -569,42 +3806,200 @@ class Dashboard {
             return;
         }
         
-        let previewHtml = `
-            <div class="preview-content">
-                <div class="preview-text">${Utils.sanitizeHtml(message)}</div>
-        `;
+        const selected = this.getSelectedPlatforms();
+        const overrides = this.getPlatformOverrides(selected);
+        const threaded = this.getThreadedPlatforms(selected, message, overrides);
         
-        if (mediaUrl) {
-            if (mediaUrl.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
-                previewHtml += `<div class="preview-media"><img src="${mediaUrl}" alt="Preview image" style="max-width: 100%; border-radius: 8px;"></div>`;
-            } else if (mediaUrl.match(/\.(mp4|mov|avi|webm)$/i)) {
-                previewHtml += `<div class="preview-media"><video src="${mediaUrl}" controls style="max-width: 100%; border-radius: 8px;"></video></div>`;
-            } else {
-                previewHtml += `<div class="preview-media"><a href="${mediaUrl}" target="_blank">${mediaUrl}</a></div>`;
-            }
+        let previewHtml = '<div class="preview-content">';
+        
+        // Skip the single-message preview when every platform gets a thread
+        if (threaded.length === 0 || threaded.length < selected.length) {
+            previewHtml += `<div class="preview-text">${Utils.sanitizeHtml(message)}</div>`;
+        }
+        
+        threaded.forEach(platform => {
+            previewHtml += this.renderThreadPreview(platform, overrides[platform] || message);
+        });
+        
+        if (this.attachments.length > 0) {
+            // Drag items in the preview to change the attachment order
+            previewHtml += this.renderMediaGalleryPreview(this.attachments.filter(item => item.media_url), true);
+        } else if (mediaUrl) {
+            previewHtml += this.renderMediaPreview(mediaUrl);
         }
         
         previewHtml += '</div>';
         preview.innerHTML = previewHtml;
     }
 
+    renderThreadPreview(platform, text) {
+        let parts;
+        
+        try {
+            parts = ThreadSplitter.split(text, platform);
+        } catch (error) {
+            return `<div class="preview-thread"><div class="detail-error">${Utils.sanitizeHtml(error.message)}</div></div>`;
+        }
+        
+        return `
+            <div class="preview-thread">
+                <div class="preview-thread-title">
+                    ${Utils.getPlatformIcon(platform)} ${Utils.getPlatformDisplayName(platform)} thread · ${parts.length} parts
+                </div>
+                ${parts.map(part => `<div class="preview-text preview-thread-part">${Utils.sanitizeHtml(part)}</div>`).join('')}
+            </div>
+        `;
+    }
+
     updateCharCount() {
         const message = document.getElementById('message');
-        const charCount = document.querySelector('.char-count');
+        const charCount = document.getElementById('messageCharCount');
+        let threaded = [];
         
         if (message && charCount) {
-            const count = message.value.length;
-            charCount.textContent = `${count}/4000 characters`;
-            
-            // Update color based on count
-            if (count > 3800) {
-                charCount.style.color = 'var(--error-500)';
-            } else if (count > 3500) {
-                charCount.style.color = 'var(--warning-500)';
+            const selected = this.getSelectedPlatforms();
+            const overrides = this.getPlatformOverrides(selected);
+            
+            this.updateThreadToggle(this.getSplittablePlatforms(selected, message.value, overrides));
+            this.updateLinkHint(selected, message.value, overrides);
+            threaded = this.getThreadedPlatforms(selected, message.value, overrides);
+            
+            // The main message only goes to platforms without custom text
+            const platforms = selected.filter(platform => !overrides[platform] && !threaded.includes(platform));
+            const threadedMain = threaded.filter(platform => !overrides[platform]);
+            
+            if (platforms.length === 0 && threadedMain.length > 0) {
+                this.renderThreadCount(charCount, message.value, threadedMain, 'message');
             } else {
-                charCount.style.color = 'var(--gray-500)';
+                const check = this.getTightestLengthCheck(message.value, platforms.length ? platforms : [null]);
+                this.renderLengthCheck(charCount, check, 'message');
+            }
+        }
+        
+        document.querySelectorAll('#platformOverrides .override-input').forEach(input => {
+            const platform = input.dataset.platform;
+            const overrideCount = document.getElementById(`overrideCount_${platform}`);
+            
+            if (overrideCount && input.value.trim() && threaded.includes(platform)) {
+                this.renderThreadCount(overrideCount, input.value, [platform], input.id);
+            } else if (overrideCount && input.value.trim()) {
+                this.renderLengthCheck(overrideCount, this.getTightestLengthCheck(input.value, [platform]), input.id);
+            } else if (overrideCount) {
+                overrideCount.textContent = '';
+                this.clearFieldError(input.id);
+            }
+        });
+    }
+
+    getTightestLengthCheck(text, platforms) {
+        const checks = platforms.map(platform => ({
+            platform: platform,
+            count: PlatformRegistry.countCharacters(platform, text),
+            limit: PlatformRegistry.getCharLimit(platform)
+        }));
+        
+        // The platform closest to (or furthest over) its limit
+        return checks.reduce((tightest, check) =>
+            check.count / check.limit > tightest.count / tightest.limit ? check : tightest
+        );
+    }
+
+    renderThreadCount(element, text, platforms, field) {
+        try {
+            const summaries = platforms.map(platform =>
+                `${ThreadSplitter.split(text, platform).length} parts on ${Utils.getPlatformDisplayName(platform)}`
+            );
+            
+            element.textContent = `${text.length} characters · thread of ${summaries.join(', ')}`;
+            element.style.color = 'var(--primary-600)';
+            this.clearFieldError(field);
+        } catch (error) {
+            element.textContent = `${text.length} characters`;
+            element.style.color = 'var(--error-500)';
+            this.showFieldError(field, error.message);
+        }
+    }
+
+    renderLengthCheck(element, check, field) {
+        const platformName = check.platform ? ` (${Utils.getPlatformDisplayName(check.platform)})` : '';
+        element.textContent = `${check.count}/${check.limit} characters${platformName}`;
+        
+        // Update color based on count
+        if (check.count > check.limit * 0.95) {
+            element.style.color = 'var(--error-500)';
+        } else if (check.count > check.limit * 0.875) {
+            element.style.color = 'var(--warning-500)';
+        } else {
+            element.style.color = 'var(--gray-500)';
+        }
+        
+        if (check.count > check.limit) {
+            this.showFieldError(field, `Too long for${platformName || ' this post'}: ${check.count - check.limit} characters over the limit`);
+        } else {
+            this.clearFieldError(field);
+        }
+    }
+
+    getLengthErrors(postData, overrides, threaded = []) {
+        const errors = {};
+        
+        postData.platforms.filter(platform => !threaded.includes(platform)).forEach(platform => {
+            const field = overrides[platform] ? `override_${platform}` : 'message';
+            const text = overrides[platform] || postData.message || '';
+            const count = PlatformRegistry.countCharacters(platform, text);
+            const limit = PlatformRegistry.getCharLimit(platform);
+            
+            if (count > limit) {
+                const problem = `${Utils.getPlatformDisplayName(platform)} allows ${limit} characters, this has ${count}`;
+                errors[field] = errors[field] ? `${errors[field]}; ${problem}` : problem;
             }
+        });
+        
+        return errors;
+    }
+
+    getHashtagErrors(postData, overrides) {
+        const errors = {};
+        
+        postData.platforms.forEach(platform => {
+            const field = overrides[platform] ? `override_${platform}` : 'message';
+            const count = PlatformRegistry.countHashtags(overrides[platform] || postData.message);
+            const limit = PlatformRegistry.getHashtagLimit(platform);
+            
+            if (limit !== null && count > limit) {
+                const problem = `${Utils.getPlatformDisplayName(platform)} allows ${limit} hashtags, this has ${count}`;
+                errors[field] = errors[field] ? `${errors[field]}; ${problem}` : problem;
+            }
+        });
+        
+        return errors;
+    }
+
+    /**
+     * Say where links in the message won't be clickable or won't get a preview
+     */
+    updateLinkHint(platforms, message, overrides) {
+        const hint = document.getElementById('linkHint');
+        if (!hint) return;
+        
+        const withLinks = platforms.filter(platform => /https?:\/\/\S+/.test(overrides[platform] || message || ''));
+        const notClickable = withLinks.filter(platform => !PlatformRegistry.getLinks(platform).clickable);
+        const noPreview = withLinks.filter(platform => {
+            const links = PlatformRegistry.getLinks(platform);
+            return links.clickable && !links.preview;
+        });
+        const names = list => list.map(platform => Utils.getPlatformDisplayName(platform)).join(', ');
+        
+        const notes = [];
+        if (notClickable.length > 0) {
+            notes.push(`Links aren't clickable on ${names(notClickable)}; tell readers where to find them instead.`);
         }
+        if (noPreview.length > 0) {
+            notes.push(`${names(noPreview)} won't show a preview for links.`);
+        }
+        
+        hint.textContent = notes.join(' ');
+        hint.classList.toggle('hidden', notes.length === 0);
     }
 
     updateRelativeTimes() {
@@ -617,14 +4012,253 @@ class Dashboard {
     }
 
     async reconnectPlatform(platform) {
-        // Implementation for reconnecting a platform
-        Utils.showNotification(`Reconnect functionality for ${platform} would be implemented here`, 'info');
+        const token = this.tokens.find(item => item.platform === platform);
+        const platformSelect = document.getElementById('connectPlatform');
+        if (!platformSelect) return;
+        
+        platformSelect.value = platform;
+        this.handlePlatformChange({ target: platformSelect });
+        this.setReconnectMode(platform);
+        
+        // Keep the saved account ID; only the token needs replacing
+        const accountInput = document.getElementById('page_id_chat_id');
+        if (accountInput && token && token.page_id_chat_id) {
+            accountInput.value = token.page_id_chat_id;
+        }
+        
+        const connectionForm = document.getElementById('connectionForm');
+        connectionForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        
+        const tokenInput = document.getElementById('token');
+        if (tokenInput) {
+            tokenInput.focus();
+        }
+    }
+
+    setReconnectMode(platform) {
+        this.reconnectingPlatform = platform;
+        
+        const banner = document.getElementById('reconnectBanner');
+        const message = document.getElementById('reconnectMessage');
+        const buttonText = document.querySelector('#connectBtn .btn-text');
+        const label = platform ? 'Update Token' : 'Connect Platform';
+        
+        if (banner) {
+            banner.classList.toggle('hidden', !platform);
+        }
+        
+        if (message && platform) {
+            const name = Utils.getPlatformDisplayName(platform);
+            message.textContent = OAuthConnect.isAvailable(platform) ?
+                `Sign in to ${name} again or enter a new token. Your post history is kept.` :
+                `Enter a new token for ${name}. Your post history is kept.`;
+        }
+        
+        if (buttonText) {
+            buttonText.textContent = label;
+            buttonText.dataset.originalText = label;
+        }
+    }
+
+    exitReconnectMode() {
+        this.setReconnectMode(null);
+        
+        const connectionForm = document.getElementById('connectionForm');
+        if (connectionForm) {
+            connectionForm.reset();
+        }
+        
+        this.manualTokenEntry = false;
+        this.renderConnectionFields('');
     }
 
     async disconnectPlatform(platform) {
-        if (confirm(`Are you sure you want to disconnect ${Utils.getPlatformDisplayName(platform)}?`)) {
-            // Implementation for disconnecting a platform
-            Utils.showNotification(`Disconnect functionality for ${platform} would be implemented here`, 'info');
+        const name = Utils.getPlatformDisplayName(platform);
+        let pendingPosts;
+        
+        try {
+            const posts = await API.getAllUserPosts(this.currentUser.email, {
+                status: 'pending',
+                platform: platform
+            });
+            pendingPosts = posts.filter(post => post.platform === platform);
+        } catch (error) {
+            console.error('Failed to check pending posts:', error);
+            
+            if (confirm(`Couldn't check for posts still scheduled on ${name}. They will fail to publish if you disconnect. Disconnect anyway?`)) {
+                await this.performDisconnect(platform);
+            }
+            return;
+        }
+        
+        if (pendingPosts.length === 0) {
+            if (confirm(`Are you sure you want to disconnect ${name}?`)) {
+                await this.performDisconnect(platform);
+            }
+            return;
+        }
+        
+        this.showDisconnectPanel(platform, pendingPosts);
+    }
+
+    /**
+     * `unfit` lists posts a move left behind, as [{ post, problems }]
+     */
+    showDisconnectPanel(platform, pendingPosts, unfit = []) {
+        const panel = document.getElementById('disconnectPanel');
+        if (!panel) return;
+        
+        this.pendingDisconnect = { platform, posts: pendingPosts };
+        
+        const otherPlatforms = this.tokens
+            .map(token => token.platform)
+            .filter(item => item !== platform);
+        
+        panel.innerHTML = `
+            <div class="edit-banner">
+                <span>
+                    ${pendingPosts.length} pending post${pendingPosts.length > 1 ? 's' : ''} will be sent to
+                    ${Utils.getPlatformDisplayName(platform)}. Choose what happens to them before disconnecting.
+                </span>
+            </div>
+            ${unfit.length > 0 ? `
+                <ul class="disconnect-problems">
+                    ${unfit.map(({ post, problems }) => `
+                        <li>
+                            <strong>${Utils.sanitizeHtml(Utils.truncateText(post.message || '', 60))}</strong>
+                            ${Utils.sanitizeHtml(problems.join('; '))}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <div class="disconnect-options">
+                ${otherPlatforms.length > 0 ? `
+                    <div class="form-group">
+                        <label for="moveTarget" class="form-label">Move pending posts to</label>
+                        <select id="moveTarget" class="form-select">
+                            ${otherPlatforms.map(item => `
+                                <option value="${item}">${Utils.getPlatformDisplayName(item)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                <div class="platform-actions">
+                    ${otherPlatforms.length > 0 ? `
+                        <button class="btn btn-secondary btn-small" onclick="dashboard.resolveDisconnect('move')">
+                            Move Posts &amp; Disconnect
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-secondary btn-small" onclick="dashboard.resolveDisconnect('cancel')">
+                        Cancel Posts &amp; Disconnect
+                    </button>
+                    <button class="btn btn-text btn-small" onclick="dashboard.hideDisconnectPanel()">
+                        Keep Connected
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    hideDisconnectPanel() {
+        this.pendingDisconnect = null;
+        
+        const panel = document.getElementById('disconnectPanel');
+        if (panel) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+        }
+    }
+
+    async resolveDisconnect(action) {
+        if (!this.pendingDisconnect) return;
+        
+        const { platform, posts } = this.pendingDisconnect;
+        const moveTarget = document.getElementById('moveTarget');
+        
+        try {
+            Utils.showLoading();
+            
+            if (action === 'move' && moveTarget) {
+                const target = moveTarget.value;
+                const checked = posts.map(post => ({ post, problems: this.getMoveProblems(post, target) }));
+                const unfit = checked.filter(item => item.problems.length > 0);
+                
+                await Promise.all(checked
+                    .filter(item => item.problems.length === 0)
+                    .map(({ post }) => API.updatePost(post.id, { platform: target })));
+                
+                // Posts that would fail on the target stay where they are, still blocking the disconnect
+                if (unfit.length > 0) {
+                    Utils.showNotification(
+                        `${unfit.length} post${unfit.length > 1 ? 's' : ''} can't go out on ${Utils.getPlatformDisplayName(target)} as written and stayed put`,
+                        'warning'
+                    );
+                    this.showDisconnectPanel(platform, unfit.map(item => item.post), unfit);
+                    return;
+                }
+            } else {
+                await Promise.all(posts.map(post => API.cancelPost(post.id)));
+                
+                // Posts queued since the list was loaded move up into the freed slots
+                const firstQueued = posts
+                    .filter(post => post.queued)
+                    .sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time))[0];
+                if (firstQueued) {
+                    await this.repackQueue(firstQueued);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to update pending posts:', error);
+            Utils.showNotification(`Could not update pending posts: ${error.message}`, 'error');
+            return;
+        } finally {
+            Utils.hideLoading();
+        }
+        
+        this.hideDisconnectPanel();
+        await this.performDisconnect(platform);
+    }
+
+    /**
+     * Why a pending post would fail on another platform
+     */
+    getMoveProblems(post, platform) {
+        const postData = { platforms: [platform], message: post.message || '' };
+        const media = (post.media || []).map(item => this.toStoredAttachment(item));
+        
+        return [
+            ...Object.values(this.getLengthErrors(postData, {})),
+            ...Object.values(this.getHashtagErrors(postData, {})),
+            ...MediaService.validateAttachments(media, [platform]).errors
+        ];
+    }
+
+    async performDisconnect(platform) {
+        try {
+            Utils.showLoading();
+            
+            const result = await API.deleteToken(platform);
+            
+            if (result.success) {
+                Utils.showNotification(result.message || `${Utils.getPlatformDisplayName(platform)} disconnected`, 'success');
+                
+                if (this.reconnectingPlatform === platform) {
+                    this.exitReconnectMode();
+                }
+                
+                API.clearUserCache(this.currentUser.email);
+                await this.loadUserTokens();
+                this.updatePlatformOptions();
+                await this.refreshPostData();
+            }
+        } catch (error) {
+            console.error('Failed to disconnect platform:', error);
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            Utils.hideLoading();
         }
     }
 }
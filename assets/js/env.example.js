@@ -0,0 +1,27 @@
+/**
+ * env.example.js - Deployment Settings
+ * Copy to assets/js/env.js and fill in for each environment. Settings are
+ * described in config.js. This file is public; never put secrets in it.
+ */
+
+window.AUTOPOSTR_ENV = {
+    environment: 'development',
+    apiBaseUrl: 'https://script.google.com/macros/s/YOUR_DEPLOYMENT_ID/exec',
+
+    // Uncomment and fill in to offer sign-in for a platform. Client IDs are
+    // public; client secrets belong in the backend's settings.
+    // oauthClients: {
+    //     facebook: 'YOUR_FACEBOOK_APP_ID',
+    //     instagram: 'YOUR_FACEBOOK_APP_ID',
+    //     twitter: 'YOUR_TWITTER_CLIENT_ID',
+    //     linkedin: 'YOUR_LINKEDIN_CLIENT_ID'
+    // },
+
+    // Uncomment to sign in against the local mock server (tools/mock-oauth-server.js)
+    // oauthAuthorizeUrls: {
+    //     facebook: 'http://localhost:8787/authorize',
+    //     instagram: 'http://localhost:8787/authorize',
+    //     twitter: 'http://localhost:8787/authorize',
+    //     linkedin: 'http://localhost:8787/authorize'
+    // }
+};
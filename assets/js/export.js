@@ -0,0 +1,99 @@
+/**
+ * export.js - Data Exporter
+ * Builds CSV and JSON downloads of posts and stats in the browser
+ */
+
+class DataExporter {
+    /**
+     * Post fields written to exports, in column order
+     */
+    static get POST_COLUMNS() {
+        return ['id', 'platform', 'message', 'scheduled_time', 'posted_at', 'timezone', 'status', 'error'];
+    }
+
+    /**
+     * Pick the export columns from each post
+     */
+    static formatPosts(posts) {
+        return posts.map(post => {
+            const row = {};
+            this.POST_COLUMNS.forEach(column => {
+                row[column] = post[column] === undefined ? null : post[column];
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Flatten nested stats into { metric, value } rows, e.g. "overview.total"
+     */
+    static flattenStats(stats, prefix = '') {
+        const rows = [];
+        
+        Object.entries(stats || {}).forEach(([key, value]) => {
+            const metric = prefix ? `${prefix}.${key}` : key;
+            
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                rows.push(...this.flattenStats(value, metric));
+            } else {
+                rows.push({ metric: metric, value: Array.isArray(value) ? JSON.stringify(value) : value });
+            }
+        });
+        
+        return rows;
+    }
+
+    /**
+     * Serialise rows as CSV with a header line
+     */
+    static toCsv(rows, columns) {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            
+            let text = String(value);
+            
+            // Stop spreadsheets from running cell text as a formula
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [columns.join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => escape(row[column])).join(','));
+        });
+        
+        return lines.join('\r\n');
+    }
+
+    static toJson(data) {
+        return JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * Offer content to the user as a file download
+     */
+    static download(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Give the browser a moment to start the download before releasing it
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Build a dated file name, e.g. autoposter-posts-2026-10-19.csv
+     */
+    static getFileName(kind, format) {
+        return `autoposter-${kind}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    }
+}
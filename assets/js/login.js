@@ -1,6 +1,6 @@
 /**
  * login.js - Login Page Functionality
- * Handles user authentication and login process
+ * Handles passwordless login: request a code by email, then verify it
  */
 
 class LoginPage {
@@ -10,6 +10,24 @@ class LoginPage {
         this.submitButton = document.getElementById('loginBtn');
         this.notification = document.getElementById('notification');
         
+        // Code entry step
+        this.verifyForm = document.getElementById('verifyForm');
+        this.codeInput = document.getElementById('code');
+        this.verifyButton = document.getElementById('verifyBtn');
+        this.resendButton = document.getElementById('resendBtn');
+        this.changeEmailButton = document.getElementById('changeEmailBtn');
+        
+        this.codeLength = 6;
+        this.maxAttempts = 5;
+        this.lockoutDuration = 15 * 60 * 1000; // 15 minutes
+        
+        // Email and challenge the code was sent for, and wrong codes entered so far
+        this.pendingEmail = null;
+        this.challenge = null;
+        this.failedAttempts = 0;
+        this.resendTimer = null;
+        this.lockoutTimer = null;
+        
         this.init();
     }
 
@@ -17,6 +35,7 @@ class LoginPage {
         this.bindEvents();
         this.autoFillDemoData();
         this.checkRedirect();
+        this.checkEmailLink();
     }
 
     bindEvents() {
@@ -33,6 +52,21 @@ class LoginPage {
                 this.handleLogin(e);
             }
         });
+        
+        // Code entry
+        this.verifyForm.addEventListener('submit', (e) => this.handleVerify(e));
+        this.codeInput.addEventListener('input', () => {
+            this.codeInput.value = this.codeInput.value.replace(/\D/g, '').slice(0, this.codeLength);
+            this.clearError('code');
+            
+            // Submit as soon as the whole code is in, e.g. when pasted
+            if (this.codeInput.value.length === this.codeLength) {
+                this.verifyForm.requestSubmit();
+            }
+        });
+        
+        this.resendButton.addEventListener('click', () => this.handleResend());
+        this.changeEmailButton.addEventListener('click', () => this.showEmailStep());
     }
 
     async handleLogin(event) {
@@ -42,17 +76,15 @@ class LoginPage {
         if (!this.validateForm()) {
             return;
         }
-
+        
         const email = this.emailInput.value.trim().toLowerCase();
         
         try {
             const result = await Auth.login(email);
             
             if (result.success) {
-                // Redirect to dashboard after successful login
-                setTimeout(() => {
-                    window.location.href = 'dashboard.html';
-                }, 1000);
+                localStorage.setItem('lastLoginEmail', email);
+                this.showVerifyStep(email, result.challenge);
             }
         } catch (error) {
             console.error('Login process error:', error);
@@ -60,13 +92,265 @@ class LoginPage {
         }
     }
 
+    async handleVerify(event) {
+        event.preventDefault();
+        
+        if (this.isLockedOut()) {
+            return;
+        }
+        
+        const code = this.codeInput.value.trim();
+        if (!new RegExp(`^\\d{${this.codeLength}}$`).test(code)) {
+            this.showError('code', `Enter the ${this.codeLength}-digit code from the email`);
+            return;
+        }
+        
+        Utils.showLoading(this.verifyButton);
+        const result = await Auth.verify(this.pendingEmail, {
+            code: code,
+            challengeId: this.challenge && this.challenge.id
+        });
+        Utils.hideLoading(this.verifyButton);
+        
+        if (result.success) {
+            this.completeLogin(this.pendingEmail);
+        } else {
+            this.handleVerifyError(result);
+        }
+    }
+
+    /**
+     * Explain a failed verification. Only a code the backend rejected counts
+     * towards the lockout, and the backend's own attempt count and lockout
+     * take precedence over ours.
+     */
+    handleVerifyError(result) {
+        const data = result.data || {};
+        const rejected = result.code === 'INVALID_CODE' || typeof data.attempts_remaining === 'number';
+        
+        if (result.code === 'TOO_MANY_ATTEMPTS' || result.code === 'LOCKED_OUT') {
+            this.codeInput.value = '';
+            this.lockOut(data.retry_after ? data.retry_after * 1000 : this.lockoutDuration);
+            return;
+        }
+        
+        if (result.code === 'CODE_EXPIRED') {
+            this.codeInput.value = '';
+            this.showError('code', 'This code has expired. Send yourself a new one.');
+            this.stopResendCountdown();
+            return;
+        }
+        
+        // Network failures and unexplained server errors say nothing about the
+        // code, so keep it for another try
+        if (!rejected) {
+            this.showError('code', result.code ?
+                `${result.error} Please try again.` :
+                'We couldn\'t check your code. Check your connection and try again.');
+            return;
+        }
+        
+        this.codeInput.value = '';
+        this.failedAttempts++;
+        const remaining = typeof data.attempts_remaining === 'number' ?
+            data.attempts_remaining :
+            this.maxAttempts - this.failedAttempts;
+        
+        if (remaining <= 0) {
+            this.lockOut(data.retry_after ? data.retry_after * 1000 : this.lockoutDuration);
+            return;
+        }
+        
+        this.showError('code', `That code isn't right. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`);
+        this.codeInput.focus();
+    }
+
+    async handleResend() {
+        if (this.isLockedOut() || !this.pendingEmail) {
+            return;
+        }
+        
+        this.resendButton.disabled = true;
+        const result = await Auth.login(this.pendingEmail);
+        
+        if (result.success) {
+            this.challenge = result.challenge;
+            this.clearError('code');
+            this.showNotification(`We sent a new code to ${this.pendingEmail}`, 'success');
+            this.startResendCountdown(result.challenge.resendAfter);
+        } else {
+            this.resendButton.disabled = false;
+        }
+    }
+
+    completeLogin(email) {
+        localStorage.removeItem(this.getLockoutKey(email));
+        this.showNotification('Signed in. Taking you to your dashboard...', 'success');
+        
+        setTimeout(() => {
+            window.location.href = 'dashboard.html';
+        }, 1000);
+    }
+
+    showVerifyStep(email, challenge) {
+        this.pendingEmail = email;
+        this.challenge = challenge;
+        this.failedAttempts = 0;
+        
+        document.getElementById('verifyIntro').textContent =
+            `We emailed a ${this.codeLength}-digit code to ${email}. Enter it below, or open the sign-in link in that email.`;
+        
+        this.form.classList.add('hidden');
+        this.verifyForm.classList.remove('hidden');
+        this.hideNotification();
+        this.clearError('code');
+        this.codeInput.value = '';
+        
+        this.startResendCountdown(challenge ? challenge.resendAfter : 0);
+        
+        if (!this.isLockedOut()) {
+            this.codeInput.focus();
+        }
+    }
+
+    showEmailStep() {
+        this.stopResendCountdown();
+        clearInterval(this.lockoutTimer);
+        
+        this.pendingEmail = null;
+        this.challenge = null;
+        
+        this.verifyForm.classList.add('hidden');
+        this.form.classList.remove('hidden');
+        this.setCodeEntryEnabled(true);
+        this.hideNotification();
+        this.emailInput.focus();
+    }
+
+    startResendCountdown(seconds) {
+        this.stopResendCountdown();
+        
+        let remaining = Math.ceil(seconds || 0);
+        if (remaining <= 0) return;
+        
+        const tick = () => {
+            if (remaining <= 0) {
+                this.stopResendCountdown();
+                return;
+            }
+            
+            this.resendButton.disabled = true;
+            this.resendButton.textContent = `Resend code in ${remaining}s`;
+            remaining--;
+        };
+        
+        tick();
+        this.resendTimer = setInterval(tick, 1000);
+    }
+
+    stopResendCountdown() {
+        clearInterval(this.resendTimer);
+        this.resendTimer = null;
+        this.resendButton.textContent = 'Resend code';
+        this.resendButton.disabled = this.isLockedOut();
+    }
+
+    /**
+     * Lockouts are kept per email so reloading the page doesn't lift them
+     */
+    getLockoutKey(email) {
+        return `loginLockout_${email}`;
+    }
+
+    lockOut(duration) {
+        localStorage.setItem(this.getLockoutKey(this.pendingEmail), String(Date.now() + duration));
+        this.failedAttempts = 0;
+        this.isLockedOut();
+    }
+
+    /**
+     * Check the lockout for the pending email and update the form to match
+     */
+    isLockedOut() {
+        clearInterval(this.lockoutTimer);
+        if (!this.pendingEmail) return false;
+        
+        const until = parseInt(localStorage.getItem(this.getLockoutKey(this.pendingEmail)), 10) || 0;
+        if (until <= Date.now()) {
+            localStorage.removeItem(this.getLockoutKey(this.pendingEmail));
+            this.setCodeEntryEnabled(true);
+            return false;
+        }
+        
+        const update = () => {
+            const left = Math.max(0, until - Date.now());
+            if (left === 0) {
+                clearInterval(this.lockoutTimer);
+                localStorage.removeItem(this.getLockoutKey(this.pendingEmail));
+                this.setCodeEntryEnabled(true);
+                this.clearError('code');
+                this.stopResendCountdown();
+                return;
+            }
+            
+            const minutes = Math.floor(left / 60000);
+            const seconds = Math.floor((left % 60000) / 1000).toString().padStart(2, '0');
+            this.showError('code', `Too many incorrect codes. Try again in ${minutes}:${seconds}.`);
+        };
+        
+        this.setCodeEntryEnabled(false);
+        update();
+        this.lockoutTimer = setInterval(update, 1000);
+        return true;
+    }
+
+    setCodeEntryEnabled(enabled) {
+        this.codeInput.disabled = !enabled;
+        this.verifyButton.disabled = !enabled;
+        this.resendButton.disabled = !enabled || !!this.resendTimer;
+    }
+
+    /**
+     * Handle links into the login page: a magic link from the email
+     * (?email=&token=), or a fresh signup asking for a code (?email=&send=1)
+     */
+    async checkEmailLink() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const email = (urlParams.get('email') || '').trim().toLowerCase();
+        const token = urlParams.get('token');
+        
+        if (!email || !Utils.isValidEmail(email)) return;
+        
+        // Keep the token out of the address bar and history
+        window.history.replaceState(null, '', window.location.pathname);
+        this.emailInput.value = email;
+        
+        if (token) {
+            this.showNotification('Signing you in...', 'info');
+            const result = await Auth.verify(email, { token: token });
+            
+            if (result.success) {
+                this.completeLogin(email);
+            } else {
+                this.showNotification(
+                    result.code === 'CODE_EXPIRED' ?
+                        'That sign-in link has expired. Request a new code below.' :
+                        'That sign-in link is no longer valid. Request a new code below.',
+                    'error'
+                );
+            }
+        } else if (urlParams.get('send') === '1') {
+            this.form.requestSubmit();
+        }
+    }
+
     validateForm() {
         const email = this.emailInput.value.trim();
         let isValid = true;
-
+        
         // Clear previous errors
         this.clearAllErrors();
-
+        
         // Validate email
         if (!email) {
             this.showError('email', 'Email address is required');
@@ -75,11 +359,11 @@ class LoginPage {
             this.showError('email', 'Please enter a valid email address');
             isValid = false;
         }
-
+        
         if (!isValid) {
             this.showNotification('Please fix the errors above', 'error');
         }
-
+        
         return isValid;
     }
 
@@ -129,6 +413,7 @@ class LoginPage {
 
     clearAllErrors() {
         this.clearError('email');
+        this.clearError('code');
         this.hideNotification();
     }
 
@@ -156,7 +441,7 @@ class LoginPage {
         
         if (demo === 'true') {
             this.emailInput.value = `demo${Math.floor(Math.random() * 1000)}@example.com`;
-            this.showNotification('Demo mode activated. You can use any email to login.', 'info');
+            this.showNotification('Demo mode activated. We\'ll email a sign-in code to the address you enter.', 'info');
         }
         
         // Pre-fill from localStorage if available
@@ -188,9 +473,9 @@ const errorStyles = `
 `;
 
 // Inject styles
-const styleSheet = document.createElement('style');
-styleSheet.textContent = errorStyles;
-document.head.appendChild(styleSheet);
+const loginStyleSheet = document.createElement('style');
+loginStyleSheet.textContent = errorStyles;
+document.head.appendChild(loginStyleSheet);
 
 // Initialize login page when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,217 @@
+/**
+ * media.js - Media Service
+ * Checks local media files against platform limits and uploads them in chunks
+ */
+
+class MediaService {
+    /**
+     * Largest file the backend can accept, whatever the platform allows
+     */
+    static get MAX_UPLOAD_SIZE() {
+        return 50 * 1024 * 1024;
+    }
+
+    /**
+     * Bytes per upload chunk. A multiple of 3 so every chunk encodes to base64
+     * without padding and the backend can join them in order.
+     */
+    static get CHUNK_SIZE() {
+        return 3 * 256 * 1024;
+    }
+
+    /**
+     * Map a MIME type to the attachment kind used in the platform registry
+     */
+    static getMediaKind(mimeType) {
+        if (!mimeType) return 'document';
+        if (mimeType === 'image/gif') return 'gif';
+        if (mimeType.startsWith('image/')) return 'image';
+        if (mimeType.startsWith('video/')) return 'video';
+        return 'document';
+    }
+
+    /**
+     * Collect the details needed for validation and display
+     */
+    static async inspectFile(file) {
+        const media = {
+            name: file.name,
+            size: file.size,
+            mimeType: file.type,
+            kind: this.getMediaKind(file.type),
+            width: null,
+            height: null
+        };
+        
+        if (media.kind === 'image' || media.kind === 'gif') {
+            const dimensions = await this.readImageDimensions(file);
+            media.width = dimensions.width;
+            media.height = dimensions.height;
+        }
+        
+        return media;
+    }
+
+    /**
+     * Read the pixel size of an image file
+     */
+    static readImageDimensions(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve({ width: image.naturalWidth, height: image.naturalHeight });
+            };
+            
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read the image. The file may be damaged.'));
+            };
+            
+            image.src = url;
+        });
+    }
+
+    /**
+     * Check inspected media against the limits of each platform
+     */
+    static validate(media, platforms) {
+        const errors = [];
+        
+        if (media.size > this.MAX_UPLOAD_SIZE) {
+            errors.push(`Files larger than ${Utils.formatFileSize(this.MAX_UPLOAD_SIZE)} cannot be uploaded`);
+        }
+        
+        platforms.forEach(platform => {
+            const name = Utils.getPlatformDisplayName(platform);
+            const limits = PlatformRegistry.getMediaLimits(platform, media.kind);
+            
+            if (!limits) {
+                errors.push(`${name} does not accept ${media.kind} attachments`);
+                return;
+            }
+            
+            if (limits.formats && !limits.formats.includes(media.mimeType)) {
+                errors.push(`${name} does not accept ${media.mimeType || 'this file type'}`);
+            }
+            
+            if (limits.maxSize && media.size > limits.maxSize) {
+                errors.push(`${name} allows up to ${Utils.formatFileSize(limits.maxSize)} for ${media.kind} files`);
+            }
+            
+            if (media.width && media.height) {
+                const ratio = media.width / media.height;
+                
+                if ((limits.maxWidth && media.width > limits.maxWidth) ||
+                    (limits.maxHeight && media.height > limits.maxHeight)) {
+                    errors.push(`${name} allows images up to ${limits.maxWidth || '∞'}×${limits.maxHeight || '∞'} pixels`);
+                }
+                
+                if (limits.minWidth && media.width < limits.minWidth) {
+                    errors.push(`${name} needs images at least ${limits.minWidth} pixels wide`);
+                }
+                
+                if ((limits.minAspectRatio && ratio < limits.minAspectRatio) ||
+                    (limits.maxAspectRatio && ratio > limits.maxAspectRatio)) {
+                    errors.push(`${name} needs an aspect ratio between ${limits.minAspectRatio}:1 and ${limits.maxAspectRatio}:1`);
+                }
+            }
+        });
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Check an ordered list of attachments against each platform's limits
+     */
+    static validateAttachments(attachments, platforms) {
+        const errors = [];
+        
+        attachments.forEach(media => {
+            const validation = this.validate(media, platforms);
+            
+            // Name the file when there is more than one to tell apart
+            validation.errors.forEach(error => {
+                errors.push(attachments.length > 1 ? `${media.name}: ${error}` : error);
+            });
+        });
+        
+        platforms.forEach(platform => {
+            const definition = PlatformRegistry.get(platform);
+            
+            if (attachments.length > definition.maxAttachments) {
+                errors.push(`${definition.name} allows up to ${definition.maxAttachments} attachment${definition.maxAttachments > 1 ? 's' : ''} per post`);
+            }
+            
+            const exclusive = attachments.find(media => definition.exclusiveKinds.includes(media.kind));
+            if (exclusive && attachments.length > 1) {
+                errors.push(`${definition.name} only accepts a ${exclusive.kind} as the single attachment on a post`);
+            }
+        });
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Upload a file through the media.upload action in base64 chunks. Aborting
+     * `signal` stops before the next chunk.
+     */
+    static async upload(file, onProgress, signal = null) {
+        const uploadId = Utils.generateId('upload');
+        const totalChunks = Math.max(1, Math.ceil(file.size / this.CHUNK_SIZE));
+        let result = null;
+        
+        for (let index = 0; index < totalChunks; index++) {
+            if (signal && signal.aborted) {
+                const error = new Error('Upload cancelled');
+                error.name = 'AbortError';
+                throw error;
+            }
+            
+            const chunk = file.slice(index * this.CHUNK_SIZE, (index + 1) * this.CHUNK_SIZE);
+            const data = await this.readChunkAsBase64(chunk);
+            
+            result = await API.uploadMedia({
+                upload_id: uploadId,
+                file_name: file.name,
+                mime_type: file.type,
+                size: file.size,
+                chunk_index: index,
+                total_chunks: totalChunks,
+                data: data
+            });
+            
+            if (onProgress) {
+                onProgress(Math.round(((index + 1) / totalChunks) * 100));
+            }
+        }
+        
+        // The response to the last chunk describes the stored file
+        return result;
+    }
+
+    /**
+     * Read a blob as a bare base64 string
+     */
+    static readChunkAsBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            
+            reader.onload = () => {
+                const dataUrl = reader.result;
+                resolve(dataUrl.slice(dataUrl.indexOf(',') + 1));
+            };
+            reader.onerror = () => reject(new Error('Could not read the file'));
+            
+            reader.readAsDataURL(blob);
+        });
+    }
+}
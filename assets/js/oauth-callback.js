@@ -0,0 +1,116 @@
+/**
+ * oauth-callback.js - OAuth Callback Page
+ * Finishes a platform connection when the provider sends the user back
+ */
+
+class OAuthCallbackPage {
+    constructor() {
+        this.title = document.getElementById('callbackTitle');
+        this.message = document.getElementById('callbackMessage');
+        this.notification = document.getElementById('notification');
+        this.actions = document.getElementById('callbackActions');
+        this.accountForm = document.getElementById('accountForm');
+        
+        this.init();
+    }
+
+    async init() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const params = {
+            code: urlParams.get('code'),
+            state: urlParams.get('state'),
+            error: urlParams.get('error'),
+            error_description: urlParams.get('error_description')
+        };
+        
+        // The code is single-use, but keep it out of history all the same
+        window.history.replaceState(null, '', window.location.pathname);
+        
+        if (!Auth.isAuthenticated()) {
+            OAuthConnect.takePending(params.state);
+            this.showResult({
+                success: false,
+                message: 'Your session has ended. Sign in again and reconnect from the dashboard.'
+            });
+            return;
+        }
+        
+        let result = await OAuthConnect.complete(params);
+        
+        if (result.accounts) {
+            // Nothing to ask when the sign-in only reaches one
+            const accountId = result.accounts.length === 1 ?
+                result.accounts[0].id :
+                await this.chooseAccount(result);
+            result = await OAuthConnect.selectAccount(result, accountId);
+        }
+        
+        // Attempts that can't be found don't know their mode; the window name says if this is the popup
+        if (result.mode === 'popup' || window.name === 'oauthConnect') {
+            OAuthConnect.publishResult(result);
+            this.showResult(result);
+            
+            // Scripts can only close windows they opened; the message above covers the rest
+            setTimeout(() => window.close(), 1000);
+        } else {
+            OAuthConnect.saveRedirectResult(result);
+            window.location.replace('dashboard.html');
+        }
+    }
+
+    /**
+     * Ask which Page or account to connect. Resolves with its id, or null
+     * if the user cancels.
+     */
+    chooseAccount(result) {
+        const label = OAuthConnect.getAccountLabel(result.platform);
+        const select = document.getElementById('accountSelect');
+        
+        this.title.textContent = `Choose which ${label} to connect`;
+        this.message.textContent = result.message;
+        document.getElementById('accountLabel').textContent = label.charAt(0).toUpperCase() + label.slice(1);
+        
+        // Names come from the provider, so they only ever go in as text
+        select.replaceChildren(...result.accounts.map(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = account.name || account.id;
+            return option;
+        }));
+        
+        this.accountForm.classList.remove('hidden');
+        select.focus();
+        
+        return new Promise(resolve => {
+            const finish = (accountId) => {
+                this.accountForm.classList.add('hidden');
+                this.title.textContent = 'Connecting your account';
+                this.message.textContent = 'Finishing the connection, this only takes a moment...';
+                resolve(accountId);
+            };
+            
+            this.accountForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                finish(select.value);
+            }, { once: true });
+            
+            document.getElementById('accountCancelBtn').addEventListener('click', () => finish(null), { once: true });
+        });
+    }
+
+    showResult(result) {
+        this.title.textContent = result.success ? 'Connected' : 'Connection failed';
+        this.message.textContent = result.success ?
+            'You can close this window.' :
+            'Nothing was saved.';
+        
+        this.notification.textContent = result.message;
+        this.notification.className = `notification ${result.success ? 'success' : 'error'}`;
+        this.actions.classList.remove('hidden');
+    }
+}
+
+// Initialize callback page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new OAuthCallbackPage();
+});
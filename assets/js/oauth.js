@@ -0,0 +1,352 @@
+/**
+ * oauth.js - OAuth Connect
+ * Connects platforms with OAuth 2.0 authorization code + PKCE instead of a
+ * pasted token.
+ *
+ * The dashboard opens the provider in a popup (or redirects when popups are
+ * blocked). The provider sends the user to oauth-callback.html, which hands
+ * the code and PKCE verifier to token.oauthExchange and reports the outcome:
+ * through localStorage to the dashboard that opened the popup, or through
+ * sessionStorage to the dashboard it redirects back to. The backend keeps the
+ * client secret and refresh grant; the browser never sees the resulting token.
+ * When a sign-in reaches several Facebook Pages or Instagram accounts, the
+ * callback page asks which one to connect before the backend stores anything.
+ *
+ * Results travel through storage rather than window.opener because provider
+ * pages commonly set Cross-Origin-Opener-Policy, which cuts the popup off
+ * from the page that opened it.
+ */
+
+class OAuthConnect {
+    /**
+     * localStorage prefix for attempts waiting on the provider. localStorage
+     * rather than sessionStorage so the popup can read what the dashboard wrote.
+     */
+    static get PENDING_PREFIX() {
+        return 'oauthPending_';
+    }
+
+    /**
+     * How long the user has to finish signing in with the provider
+     */
+    static get PENDING_TTL() {
+        return 10 * 60 * 1000; // 10 minutes
+    }
+
+    /**
+     * Storage key for the outcome of an attempt: localStorage for popups,
+     * sessionStorage for redirects
+     */
+    static get RESULT_KEY() {
+        return 'oauthResult';
+    }
+
+    static get POPUP_FEATURES() {
+        return 'width=600,height=720,menubar=no,toolbar=no';
+    }
+
+    /**
+     * Whether a platform can be connected with OAuth in this deployment
+     */
+    static isAvailable(platform) {
+        return !!PlatformRegistry.getOAuth(platform) && !!this.getClientId(platform);
+    }
+
+    static getClientId(platform) {
+        return (AppConfig.get('oauthClients') || {})[platform] || null;
+    }
+
+    static getAuthorizeUrl(platform) {
+        return (AppConfig.get('oauthAuthorizeUrls') || {})[platform] || PlatformRegistry.getOAuth(platform).authorizeUrl;
+    }
+
+    static getRedirectUri() {
+        return AppConfig.get('oauthRedirectUri') || new URL('oauth-callback.html', window.location.href).href;
+    }
+
+    /**
+     * Send the user to the provider. Returns { popup, state }, or
+     * { redirected: true } when popups are blocked and the page is leaving.
+     * The outcome arrives through listen() or takeRedirectResult().
+     */
+    static async connect(platform, { reconnect = false } = {}) {
+        // Open the window before the async work so the click still counts as a user gesture
+        const popup = window.open('', 'oauthConnect', this.POPUP_FEATURES);
+        let attempt;
+        
+        try {
+            attempt = await this.begin(platform, { reconnect, mode: popup ? 'popup' : 'redirect' });
+        } catch (error) {
+            if (popup) popup.close();
+            throw error;
+        }
+        
+        if (!popup) {
+            window.location.assign(attempt.url);
+            return { redirected: true };
+        }
+        
+        popup.location.href = attempt.url;
+        popup.focus();
+        return { popup: popup, state: attempt.state };
+    }
+
+    /**
+     * Create and store a pending attempt. Returns { state, url }.
+     */
+    static async begin(platform, { reconnect = false, mode = 'popup' } = {}) {
+        const settings = PlatformRegistry.getOAuth(platform);
+        const clientId = this.getClientId(platform);
+        
+        if (!settings || !clientId) {
+            throw new Error(`${PlatformRegistry.getDisplayName(platform)} can't be connected with sign-in here. Enter a token instead.`);
+        }
+        
+        this.clearExpired();
+        
+        const state = this.randomString(16);
+        const verifier = this.randomString(32);
+        const redirectUri = this.getRedirectUri();
+        
+        this.savePending(state, {
+            platform: platform,
+            verifier: verifier,
+            redirectUri: redirectUri,
+            reconnect: reconnect,
+            mode: mode,
+            createdAt: Date.now()
+        });
+        
+        const url = new URL(this.getAuthorizeUrl(platform));
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', clientId);
+        url.searchParams.set('redirect_uri', redirectUri);
+        url.searchParams.set('scope', settings.scopes.join(settings.scopeSeparator || ' '));
+        url.searchParams.set('state', state);
+        url.searchParams.set('code_challenge', await this.createChallenge(verifier));
+        url.searchParams.set('code_challenge_method', 'S256');
+        
+        return { state: state, url: url.toString() };
+    }
+
+    /**
+     * Call `onClosed` once the popup is gone. Only used to reset the UI: a
+     * popup cut off by the provider's opener policy can look closed early,
+     * and its result still arrives through listen().
+     */
+    static watchPopup(popup, onClosed) {
+        const timer = setInterval(() => {
+            if (popup.closed) {
+                clearInterval(timer);
+                onClosed();
+            }
+        }, 500);
+        
+        return timer;
+    }
+
+    /**
+     * Call `callback(result)` whenever a popup in another window finishes
+     */
+    static listen(callback) {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== this.RESULT_KEY || !event.newValue) return;
+            
+            localStorage.removeItem(this.RESULT_KEY);
+            
+            try {
+                callback(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Unreadable OAuth result:', error);
+            }
+        });
+    }
+
+    /**
+     * Report a popup attempt's outcome to the dashboard that started it
+     */
+    static publishResult(result) {
+        localStorage.setItem(this.RESULT_KEY, JSON.stringify({ ...result, at: Date.now() }));
+    }
+
+    /**
+     * Finish an attempt on the callback page. `params` are the query
+     * parameters the provider sent back (code, state, error, error_description).
+     * Returns { success, platform, message, mode }, with `accounts` and
+     * `selectionId` when the user still has to pick one for selectAccount().
+     */
+    static async complete(params) {
+        const pending = this.takePending(params.state);
+        
+        if (!pending) {
+            return {
+                success: false,
+                platform: null,
+                mode: 'redirect',
+                message: 'This connection attempt expired or was already used. Start again from the dashboard.'
+            };
+        }
+        
+        const name = PlatformRegistry.getDisplayName(pending.platform);
+        const base = { platform: pending.platform, mode: pending.mode, reconnect: pending.reconnect };
+        
+        if (params.error) {
+            return {
+                ...base,
+                success: false,
+                cancelled: params.error === 'access_denied',
+                message: params.error === 'access_denied' ?
+                    `${name} connection was cancelled.` :
+                    `${name} refused the connection: ${params.error_description || params.error}`
+            };
+        }
+        
+        if (!params.code) {
+            return { ...base, success: false, message: `${name} didn't send an authorization code.` };
+        }
+        
+        try {
+            const result = await API.exchangeOAuthCode({
+                platform: pending.platform,
+                code: params.code,
+                code_verifier: pending.verifier,
+                redirect_uri: pending.redirectUri,
+                reconnect: pending.reconnect
+            });
+            
+            if (Array.isArray(result.accounts) && result.selection_id) {
+                return {
+                    ...base,
+                    success: false,
+                    accounts: result.accounts,
+                    selectionId: result.selection_id,
+                    message: `This sign-in reaches more than one ${this.getAccountLabel(pending.platform)}.`
+                };
+            }
+            
+            return { ...base, success: true, message: this.getSuccessMessage(name, result) };
+        } catch (error) {
+            console.error('OAuth exchange failed:', error);
+            return { ...base, success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Finish an attempt that complete() left waiting for an account choice.
+     * A null `accountId` gives up without connecting anything.
+     */
+    static async selectAccount(choice, accountId) {
+        const name = PlatformRegistry.getDisplayName(choice.platform);
+        const base = { platform: choice.platform, mode: choice.mode };
+        
+        if (!accountId) {
+            return { ...base, success: false, cancelled: true, message: `${name} connection was cancelled.` };
+        }
+        
+        try {
+            const result = await API.selectOAuthAccount({
+                platform: choice.platform,
+                selection_id: choice.selectionId,
+                account_id: accountId,
+                reconnect: choice.reconnect
+            });
+            
+            return { ...base, success: true, message: this.getSuccessMessage(name, result) };
+        } catch (error) {
+            console.error('OAuth account selection failed:', error);
+            return { ...base, success: false, message: error.message };
+        }
+    }
+
+    /**
+     * What the user picks when a sign-in reaches several, e.g. "Page"
+     */
+    static getAccountLabel(platform) {
+        return (PlatformRegistry.getOAuth(platform) || {}).accountLabel || 'account';
+    }
+
+    static getSuccessMessage(name, result) {
+        const account = result.account_name ? ` as ${result.account_name}` : '';
+        return result.message || `${name} connected${account}`;
+    }
+
+    /**
+     * Hand the outcome of a redirect-mode attempt to the dashboard
+     */
+    static saveRedirectResult(result) {
+        sessionStorage.setItem(this.RESULT_KEY, JSON.stringify(result));
+    }
+
+    static takeRedirectResult() {
+        const stored = sessionStorage.getItem(this.RESULT_KEY);
+        sessionStorage.removeItem(this.RESULT_KEY);
+        
+        try {
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Pending attempt storage
+     */
+    static savePending(state, pending) {
+        localStorage.setItem(`${this.PENDING_PREFIX}${state}`, JSON.stringify(pending));
+    }
+
+    static getPending(state) {
+        if (!state) return null;
+        
+        try {
+            const pending = JSON.parse(localStorage.getItem(`${this.PENDING_PREFIX}${state}`));
+            return pending && Date.now() - pending.createdAt <= this.PENDING_TTL ? pending : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get and forget an attempt; each state is only good once
+     */
+    static takePending(state) {
+        const pending = this.getPending(state);
+        if (state) {
+            localStorage.removeItem(`${this.PENDING_PREFIX}${state}`);
+        }
+        return pending;
+    }
+
+    static clearExpired() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.PENDING_PREFIX))
+            .forEach(key => {
+                if (!this.getPending(key.slice(this.PENDING_PREFIX.length))) {
+                    localStorage.removeItem(key);
+                }
+            });
+    }
+
+    /**
+     * PKCE helpers
+     */
+    static randomString(byteLength) {
+        const bytes = new Uint8Array(byteLength);
+        crypto.getRandomValues(bytes);
+        return this.base64Url(bytes);
+    }
+
+    static async createChallenge(verifier) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+        return this.base64Url(new Uint8Array(digest));
+    }
+
+    static base64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+}
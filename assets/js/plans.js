@@ -0,0 +1,228 @@
+/**
+ * plans.js - Plan Entitlements
+ * What each plan allows, checked before posts and gated actions are sent.
+ * The backend enforces the same limits and stays the authority; these checks
+ * only explain a blocked action before the request is made.
+ */
+
+/**
+ * Plan definitions, matching the pricing table.
+ *
+ * dailyPosts - posts that can be scheduled for any one day
+ * features   - gated features the plan includes
+ */
+const PLAN_DEFINITIONS = {
+    trial: {
+        name: 'Trial',
+        dailyPosts: 10,
+        features: []
+    },
+    paid: {
+        name: 'Professional',
+        dailyPosts: 100,
+        features: ['bulk', 'export', 'api']
+    }
+};
+
+/**
+ * Names of the gated features, as used mid-sentence in upgrade prompts
+ */
+const PLAN_FEATURE_NAMES = {
+    bulk: 'bulk posting',
+    export: 'data exports',
+    api: 'API access'
+};
+
+class PlanEntitlements {
+    /**
+     * Plan offered in upgrade prompts
+     */
+    static get UPGRADE_PLAN() {
+        return 'paid';
+    }
+
+    /**
+     * How many days ahead a recurring series' runs are checked against the
+     * daily limit. Series with COUNT or UNTIL are checked up to that end
+     * within the window; open-ended ones are left to the backend after it.
+     */
+    static get QUOTA_WINDOW_DAYS() {
+        return 90;
+    }
+
+    /**
+     * Error codes the backend uses for plan limits
+     */
+    static get ERROR_CODES() {
+        return {
+            QUOTA_EXCEEDED: 'quota',
+            DAILY_LIMIT_REACHED: 'quota',
+            TRIAL_EXPIRED: 'expired',
+            PLAN_REQUIRED: 'feature',
+            FEATURE_NOT_AVAILABLE: 'feature'
+        };
+    }
+
+    /**
+     * Get the definition for a user's plan; unknown plans get Trial limits
+     */
+    static getPlan(user) {
+        return PLAN_DEFINITIONS[user && user.plan] || PLAN_DEFINITIONS.trial;
+    }
+
+    static getPlanName(user) {
+        return this.getPlan(user).name;
+    }
+
+    /**
+     * Posts allowed per day, unless the backend reports a limit for the account
+     */
+    static getDailyLimit(user) {
+        return (user && user.daily_limit) || this.getPlan(user).dailyPosts;
+    }
+
+    static isTrialExpired(user) {
+        return !!user && user.plan === 'trial' && !!user.trialEnd && new Date(user.trialEnd) < new Date();
+    }
+
+    static can(user, feature) {
+        return this.getPlan(user).features.includes(feature);
+    }
+
+    /**
+     * Check a gated feature. Returns { allowed, message }.
+     */
+    static checkFeature(user, feature) {
+        if (this.can(user, feature)) {
+            return { allowed: true, message: null };
+        }
+        
+        const name = PLAN_FEATURE_NAMES[feature] || 'this feature';
+        
+        return {
+            allowed: false,
+            message: `${name.charAt(0).toUpperCase()}${name.slice(1)} is part of the ${PLAN_DEFINITIONS[this.UPGRADE_PLAN].name} plan.`
+        };
+    }
+
+    /**
+     * Check whether new posts fit the daily limit alongside the posts already
+     * scheduled. `schedules` holds one UTC time per new post; days are counted
+     * in `timeZone`. Returns { allowed, message, day, used, requested, limit }.
+     */
+    static checkQuota(user, existingPosts, schedules, timeZone) {
+        const limit = this.getDailyLimit(user);
+        
+        if (this.isTrialExpired(user)) {
+            return {
+                allowed: false,
+                message: `Your trial ended on ${new Date(user.trialEnd).toLocaleDateString()}.`,
+                day: null,
+                used: 0,
+                requested: schedules.length,
+                limit: limit
+            };
+        }
+        
+        const used = this.countByDay(existingPosts.map(post => post.scheduled_time), timeZone);
+        const requested = this.countByDay(schedules, timeZone);
+        
+        const day = Object.keys(requested).sort().find(key => (used[key] || 0) + requested[key] > limit);
+        if (!day) {
+            return { allowed: true, message: null, day: null, used: 0, requested: schedules.length, limit: limit };
+        }
+        
+        const left = Math.max(0, limit - (used[day] || 0));
+        
+        return {
+            allowed: false,
+            message: `${this.getPlanName(user)} allows ${limit} posts a day. ` +
+                `${this.formatDay(day)} has room for ${left} more, and this adds ${requested[day]}.`,
+            day: day,
+            used: used[day] || 0,
+            requested: requested[day],
+            limit: limit
+        };
+    }
+
+    static countByDay(times, timeZone) {
+        const counts = {};
+        
+        times.forEach(time => {
+            const day = ContentCalendar.getDayKey(new Date(time), timeZone);
+            counts[day] = (counts[day] || 0) + 1;
+        });
+        
+        return counts;
+    }
+
+    static formatDay(dayKey) {
+        return new Date(`${dayKey}T12:00:00Z`).toLocaleDateString('en-US', {
+            timeZone: 'UTC',
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Posts still allowed today
+     */
+    static getRemaining(user, usedToday) {
+        return Math.max(0, this.getDailyLimit(user) - usedToday);
+    }
+
+    /**
+     * Sentence offering the next plan up, or null if the user already has it
+     */
+    static getUpgradeMessage(user) {
+        if (user && user.plan === this.UPGRADE_PLAN) {
+            return null;
+        }
+        
+        const plan = PLAN_DEFINITIONS[this.UPGRADE_PLAN];
+        return `Upgrade to ${plan.name} for ${plan.dailyPosts} posts a day, ` +
+            `${plan.features.map(feature => PLAN_FEATURE_NAMES[feature]).join(', ')}.`;
+    }
+
+    /**
+     * Whether an API error is the backend refusing an action for plan reasons
+     */
+    static isPlanError(error) {
+        return this.getErrorKind(error) !== null;
+    }
+
+    static getErrorKind(error) {
+        if (!error) return null;
+        
+        if (error.code && this.ERROR_CODES[error.code]) {
+            return this.ERROR_CODES[error.code];
+        }
+        
+        // Backends that predate error codes only say so in the message
+        const message = error.message || '';
+        if (/trial (has )?(ended|expired)/i.test(message)) return 'expired';
+        if (/daily (post )?limit|quota/i.test(message)) return 'quota';
+        if (/upgrade|not available on your plan/i.test(message)) return 'feature';
+        
+        return null;
+    }
+
+    /**
+     * Rewrite a backend plan error in the same words as the client checks
+     */
+    static describeError(error, user) {
+        switch (this.getErrorKind(error)) {
+            case 'expired':
+                return user && user.trialEnd ?
+                    `Your trial ended on ${new Date(user.trialEnd).toLocaleDateString()}.` :
+                    'Your trial has ended.';
+            case 'quota':
+                return `You've reached the ${this.getPlanName(user)} limit of ${this.getDailyLimit(user)} posts a day.`;
+            case 'feature':
+                return `That feature isn't included in the ${this.getPlanName(user)} plan.`;
+            default:
+                return error.message;
+        }
+    }
+}
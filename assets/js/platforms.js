@@ -0,0 +1,385 @@
+/**
+ * platforms.js - Platform Registry
+ * Single source of truth for what each supported platform is and accepts
+ */
+
+/**
+ * Platform definitions. Adding a platform means adding one entry here.
+ *
+ * credentialFields - fields rendered in the connection form, with shape rules
+ * charLimit        - maximum message length on the platform
+ * countUnit        - 'utf16' counts emoji as surrogate pairs, 'codepoint' as one
+ * threads          - whether long messages can go out as a numbered chain of posts
+ * media            - attachment kinds the platform accepts, with format, size
+ *                    and image dimension limits for each
+ * maxAttachments   - how many attachments one post (album, carousel) can carry
+ * exclusiveKinds   - attachment kinds that must be the only attachment on a post
+ * links            - how URLs in the message are treated
+ * hashtags         - whether hashtags are supported and how many are allowed
+ * postingTimes     - commonly good weekly posting windows (weekday, hour), used
+ *                    until the user's own history is enough to go on
+ * oauth            - OAuth 2.0 authorization endpoint and scopes, for platforms
+ *                    that can be connected without pasting a token. accountLabel
+ *                    names what the user picks when one sign-in reaches several
+ */
+const PLATFORM_DEFINITIONS = {
+    telegram: {
+        name: 'Telegram',
+        icon: '📢',
+        charLimit: 4096,
+        countUnit: 'utf16',
+        threads: true,
+        credentialFields: [
+            {
+                name: 'token',
+                label: 'Bot Token',
+                type: 'password',
+                placeholder: '123456:ABC-DEF1234ghIkl-zyx57W2v1u123ew11',
+                pattern: /^\d{6,12}:[A-Za-z0-9_-]{30,50}$/,
+                patternMessage: 'Bot token must look like 123456:ABC-DEF... (digits, a colon, then the secret)'
+            },
+            {
+                name: 'page_id_chat_id',
+                label: 'Chat ID',
+                type: 'text',
+                placeholder: '-1001234567890',
+                pattern: /^(-?\d+|@[A-Za-z][A-Za-z0-9_]{4,31})$/,
+                patternMessage: 'Chat ID must be numeric (e.g. -1001234567890) or a @channel username'
+            }
+        ],
+        media: {
+            image: { formats: ['image/jpeg', 'image/png', 'image/webp'], maxSize: 10 * 1024 * 1024, maxWidth: 10000, maxHeight: 10000 },
+            gif: { formats: ['image/gif'], maxSize: 50 * 1024 * 1024 },
+            video: { formats: ['video/mp4', 'video/quicktime', 'video/webm'], maxSize: 50 * 1024 * 1024 },
+            document: { formats: null, maxSize: 50 * 1024 * 1024 }
+        },
+        maxAttachments: 10,
+        exclusiveKinds: [],
+        links: { clickable: true, preview: true },
+        hashtags: { supported: true, max: null },
+        postingTimes: [{ day: 'MO', hour: 9 }, { day: 'WE', hour: 18 }, { day: 'SA', hour: 10 }]
+    },
+    facebook: {
+        name: 'Facebook',
+        icon: '📘',
+        charLimit: 63206,
+        countUnit: 'codepoint',
+        threads: false,
+        credentialFields: [
+            {
+                name: 'token',
+                label: 'Page Access Token',
+                type: 'password',
+                placeholder: 'EAACEdEose0cBA...',
+                pattern: /^EA[A-Za-z0-9]{20,}$/,
+                patternMessage: 'Page access token should start with "EA" and contain only letters and digits'
+            },
+            {
+                name: 'page_id_chat_id',
+                label: 'Page ID',
+                type: 'text',
+                placeholder: '123456789012345',
+                pattern: /^\d{5,20}$/,
+                patternMessage: 'Page ID must be numeric'
+            }
+        ],
+        media: {
+            image: { formats: ['image/jpeg', 'image/png', 'image/bmp', 'image/webp'], maxSize: 10 * 1024 * 1024 },
+            gif: { formats: ['image/gif'], maxSize: 10 * 1024 * 1024 },
+            video: { formats: ['video/mp4', 'video/quicktime'], maxSize: 1024 * 1024 * 1024 }
+        },
+        maxAttachments: 10,
+        exclusiveKinds: [],
+        links: { clickable: true, preview: true },
+        hashtags: { supported: true, max: null },
+        postingTimes: [{ day: 'WE', hour: 11 }, { day: 'TH', hour: 13 }, { day: 'FR', hour: 10 }],
+        oauth: {
+            authorizeUrl: 'https://www.facebook.com/v19.0/dialog/oauth',
+            scopes: ['pages_show_list', 'pages_manage_posts', 'pages_read_engagement'],
+            scopeSeparator: ',',
+            accountLabel: 'Page'
+        }
+    },
+    twitter: {
+        name: 'Twitter',
+        icon: '🐦',
+        charLimit: 280,
+        countUnit: 'utf16',
+        threads: true,
+        credentialFields: [
+            {
+                name: 'token',
+                label: 'Bearer Token',
+                type: 'password',
+                placeholder: 'AAAAAAAAAAAAAAAAAAAAA...',
+                pattern: /^[A-Za-z0-9%._~+/=-]{40,}$/,
+                patternMessage: 'Bearer token looks too short or contains invalid characters'
+            },
+            {
+                name: 'page_id_chat_id',
+                label: 'Account ID',
+                type: 'text',
+                placeholder: '123456789',
+                pattern: /^\d{1,20}$/,
+                patternMessage: 'Account ID must be numeric'
+            }
+        ],
+        media: {
+            image: { formats: ['image/jpeg', 'image/png', 'image/webp'], maxSize: 5 * 1024 * 1024, maxWidth: 8192, maxHeight: 8192 },
+            gif: { formats: ['image/gif'], maxSize: 15 * 1024 * 1024 },
+            video: { formats: ['video/mp4', 'video/quicktime'], maxSize: 512 * 1024 * 1024 }
+        },
+        maxAttachments: 4,
+        exclusiveKinds: ['gif', 'video'],
+        // Every link is wrapped in a t.co URL of fixed length
+        links: { clickable: true, preview: true, countAs: 23 },
+        hashtags: { supported: true, max: null },
+        postingTimes: [{ day: 'TU', hour: 9 }, { day: 'WE', hour: 12 }, { day: 'TH', hour: 9 }],
+        oauth: {
+            authorizeUrl: 'https://twitter.com/i/oauth2/authorize',
+            scopes: ['tweet.read', 'tweet.write', 'users.read', 'offline.access'],
+            scopeSeparator: ' '
+        }
+    },
+    instagram: {
+        name: 'Instagram',
+        icon: '📷',
+        charLimit: 2200,
+        countUnit: 'codepoint',
+        threads: false,
+        credentialFields: [
+            {
+                name: 'token',
+                label: 'Access Token',
+                type: 'password',
+                placeholder: 'IGQVJ...',
+                pattern: /^(IG|EA)[A-Za-z0-9]{20,}$/,
+                patternMessage: 'Instagram token should start with "IG" or "EA"'
+            },
+            {
+                name: 'page_id_chat_id',
+                label: 'Business Account ID',
+                type: 'text',
+                placeholder: '17841400000000000',
+                pattern: /^\d{5,20}$/,
+                patternMessage: 'Instagram business account ID must be numeric'
+            }
+        ],
+        media: {
+            image: {
+                formats: ['image/jpeg'],
+                maxSize: 8 * 1024 * 1024,
+                minWidth: 320,
+                maxWidth: 1440,
+                minAspectRatio: 0.8,
+                maxAspectRatio: 1.91
+            },
+            video: { formats: ['video/mp4', 'video/quicktime'], maxSize: 100 * 1024 * 1024 }
+        },
+        maxAttachments: 10,
+        exclusiveKinds: [],
+        // Captions are plain text; links are not clickable
+        links: { clickable: false, preview: false },
+        hashtags: { supported: true, max: 30 },
+        postingTimes: [{ day: 'MO', hour: 11 }, { day: 'WE', hour: 11 }, { day: 'FR', hour: 10 }],
+        oauth: {
+            authorizeUrl: 'https://www.facebook.com/v19.0/dialog/oauth',
+            scopes: ['instagram_basic', 'instagram_content_publish', 'pages_show_list'],
+            scopeSeparator: ',',
+            accountLabel: 'Instagram account'
+        }
+    },
+    linkedin: {
+        name: 'LinkedIn',
+        icon: '💼',
+        charLimit: 3000,
+        countUnit: 'codepoint',
+        threads: false,
+        credentialFields: [
+            {
+                name: 'token',
+                label: 'Access Token',
+                type: 'password',
+                placeholder: 'AQV...',
+                pattern: /^[A-Za-z0-9._-]{40,}$/,
+                patternMessage: 'LinkedIn access token looks too short or contains invalid characters'
+            },
+            {
+                name: 'page_id_chat_id',
+                label: 'Account ID',
+                type: 'text',
+                placeholder: 'urn:li:organization:123456',
+                pattern: /^(urn:li:(person|organization):)?[A-Za-z0-9_-]+$/,
+                patternMessage: 'Account ID must be an ID or a urn:li:person / urn:li:organization URN'
+            }
+        ],
+        media: {
+            image: { formats: ['image/jpeg', 'image/png', 'image/gif'], maxSize: 8 * 1024 * 1024 },
+            video: { formats: ['video/mp4'], maxSize: 200 * 1024 * 1024 },
+            document: {
+                formats: [
+                    'application/pdf',
+                    'application/msword',
+                    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                    'application/vnd.ms-powerpoint',
+                    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+                ],
+                maxSize: 100 * 1024 * 1024
+            }
+        },
+        maxAttachments: 9,
+        exclusiveKinds: ['video', 'document'],
+        links: { clickable: true, preview: true },
+        hashtags: { supported: true, max: null },
+        postingTimes: [{ day: 'TU', hour: 10 }, { day: 'WE', hour: 8 }, { day: 'TH', hour: 12 }],
+        oauth: {
+            authorizeUrl: 'https://www.linkedin.com/oauth/v2/authorization',
+            scopes: ['openid', 'profile', 'w_member_social'],
+            scopeSeparator: ' '
+        }
+    }
+};
+
+class PlatformRegistry {
+    /**
+     * Get all supported platform IDs in display order
+     */
+    static list() {
+        return Object.keys(PLATFORM_DEFINITIONS);
+    }
+
+    /**
+     * Check whether a platform is supported
+     */
+    static has(platform) {
+        return Object.prototype.hasOwnProperty.call(PLATFORM_DEFINITIONS, platform);
+    }
+
+    /**
+     * Get the full definition for a platform, with fallbacks for unknown IDs
+     */
+    static get(platform) {
+        const definition = this.has(platform) ? PLATFORM_DEFINITIONS[platform] : {};
+        
+        return {
+            id: platform,
+            name: platform,
+            icon: '🔗',
+            charLimit: 4000,
+            countUnit: 'utf16',
+            threads: false,
+            credentialFields: [
+                { name: 'token', label: 'Access Token', type: 'password', placeholder: 'Enter access token' },
+                { name: 'page_id_chat_id', label: 'Account ID', type: 'text', placeholder: 'Enter account ID' }
+            ],
+            media: {
+                image: { formats: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'], maxSize: 5 * 1024 * 1024 },
+                video: { formats: ['video/mp4'], maxSize: 50 * 1024 * 1024 }
+            },
+            maxAttachments: 1,
+            exclusiveKinds: [],
+            links: { clickable: true, preview: true },
+            hashtags: { supported: true, max: null },
+            postingTimes: [{ day: 'TU', hour: 9 }, { day: 'WE', hour: 12 }, { day: 'TH', hour: 17 }],
+            oauth: null,
+            ...definition
+        };
+    }
+
+    static getDisplayName(platform) {
+        return this.get(platform).name;
+    }
+
+    static getIcon(platform) {
+        return this.get(platform).icon;
+    }
+
+    static getCredentialFields(platform) {
+        return this.get(platform).credentialFields;
+    }
+
+    static getMediaLimits(platform, kind) {
+        return this.get(platform).media[kind] || null;
+    }
+
+    static getCharLimit(platform) {
+        return this.get(platform).charLimit;
+    }
+
+    static getPostingTimes(platform) {
+        return this.get(platform).postingTimes;
+    }
+
+    /**
+     * OAuth settings for a platform, or null if it only takes pasted tokens
+     */
+    static getOAuth(platform) {
+        return this.get(platform).oauth;
+    }
+
+    static supportsThreads(platform) {
+        return this.get(platform).threads;
+    }
+
+    /**
+     * Count message length the way the platform does
+     */
+    static countCharacters(platform, text) {
+        const definition = this.get(platform);
+        let remaining = text || '';
+        let linkLength = 0;
+        
+        // Platforms that shorten links count every URL at a fixed length
+        if (definition.links.countAs) {
+            remaining = remaining.replace(/https?:\/\/[^\s]+/g, () => {
+                linkLength += definition.links.countAs;
+                return '';
+            });
+        }
+        
+        const textLength = definition.countUnit === 'codepoint' ?
+            Array.from(remaining).length :
+            remaining.length;
+        
+        return textLength + linkLength;
+    }
+
+    /**
+     * Count the hashtags in a message, e.g. "#launch"
+     */
+    static countHashtags(text) {
+        return ((text || '').match(/(^|\s)#[\p{L}\p{N}_]+/gu) || []).length;
+    }
+
+    /**
+     * Most hashtags a post may carry, or null if there is no limit
+     */
+    static getHashtagLimit(platform) {
+        const hashtags = this.get(platform).hashtags;
+        return hashtags.supported ? hashtags.max : 0;
+    }
+
+    /**
+     * How URLs in a message behave: { clickable, preview, countAs }
+     */
+    static getLinks(platform) {
+        return this.get(platform).links;
+    }
+
+    /**
+     * Build <option> elements for every supported platform
+     */
+    static renderOptions(select) {
+        // Keep the placeholder option
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        
+        this.list().forEach(platform => {
+            const option = document.createElement('option');
+            option.value = platform;
+            option.textContent = this.getDisplayName(platform);
+            select.appendChild(option);
+        });
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * queue.js - Posting Queues
+ * Works out weekly queue slots for a platform and fits posts into the free ones.
+ *
+ * A queue is { platform, days: ['MO', ...], times: ['09:00', ...], timezone };
+ * every listed time on every listed day is a slot.
+ */
+
+class QueueAllocator {
+    /**
+     * How far ahead to look for a free slot
+     */
+    static get HORIZON_WEEKS() {
+        return 12;
+    }
+
+    /**
+     * Slots closer than this are skipped, matching the schedule form's minimum
+     */
+    static get MIN_LEAD_TIME() {
+        return 10 * 60 * 1000;
+    }
+
+    /**
+     * Two posts within this window count as the same slot
+     */
+    static get SLOT_TOLERANCE() {
+        return 60 * 1000;
+    }
+
+    /**
+     * Parse and check a comma-separated list of 24-hour times
+     */
+    static parseTimes(value) {
+        const times = (value || '').split(',').map(time => time.trim()).filter(Boolean);
+        const invalid = times.filter(time => !/^([01]?\d|2[0-3]):[0-5]\d$/.test(time));
+        
+        return {
+            times: [...new Set(times.map(time => time.padStart(5, '0')))].sort(),
+            invalid: invalid
+        };
+    }
+
+    /**
+     * Validate a queue before it is saved
+     */
+    static validate(queue) {
+        const errors = [];
+        
+        if (!queue.days || queue.days.length === 0) {
+            errors.push('Pick at least one day');
+        }
+        
+        if (!queue.times || queue.times.length === 0) {
+            errors.push('Add at least one time, e.g. 09:00, 13:00, 18:00');
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * List upcoming slots (UTC ISO strings) at or after `from`
+     */
+    static getSlots(queue, from = new Date(), limit = 50) {
+        const slots = [];
+        if (!queue || !queue.days || !queue.times || queue.days.length === 0) {
+            return slots;
+        }
+        
+        const earliest = Math.max(new Date(from).getTime(), Date.now() + this.MIN_LEAD_TIME);
+        const times = [...queue.times].sort();
+        let day = ContentCalendar.getDayKey(new Date(earliest), queue.timezone);
+        
+        for (let index = 0; index < this.HORIZON_WEEKS * 7 && slots.length < limit; index++) {
+            const weekday = RECURRENCE_WEEKDAYS[ContentCalendar.getWeekdayIndex(day)];
+            
+            if (queue.days.includes(weekday)) {
+                times.forEach(time => {
+                    const slot = Utils.zonedTimeToUtc(`${day}T${time}`, queue.timezone);
+                    
+                    if (slots.length < limit && new Date(slot).getTime() >= earliest) {
+                        slots.push(slot);
+                    }
+                });
+            }
+            
+            day = ContentCalendar.addDays(day, 1);
+        }
+        
+        return slots;
+    }
+
+    /**
+     * List upcoming slots not already taken by a post on the queue's platform
+     */
+    static getFreeSlots(queue, posts, limit = 1) {
+        const taken = this._getTakenTimes(queue, posts);
+        
+        return this.getSlots(queue, new Date(), Infinity)
+            .filter(slot => !this._isTaken(slot, taken))
+            .slice(0, limit);
+    }
+
+    /**
+     * Find the first free slot, or null if the queue is full for the horizon
+     */
+    static findNextFreeSlot(queue, posts) {
+        return this.getFreeSlots(queue, posts, 1)[0] || null;
+    }
+
+    /**
+     * After a queued post is removed, move the queued posts behind it forward
+     * into the earliest free slots, keeping their order. Returns the moves to
+     * make as [{ post, schedule }].
+     *
+     * With `moved`, the post was given a new time rather than removed:
+     * `removedPost` holds its old time, and its entry in `posts` keeps the new one.
+     */
+    static repack(queue, removedPost, posts, { moved = false } = {}) {
+        const removedTime = new Date(removedPost.scheduled_time).getTime();
+        const isRemoved = post => String(post.id) === String(removedPost.id);
+        const platformPosts = posts.filter(post =>
+            post.platform === queue.platform &&
+            post.status === 'pending' &&
+            (moved || !isRemoved(post))
+        );
+        
+        const later = platformPosts
+            .filter(post => post.queued && !isRemoved(post) && new Date(post.scheduled_time).getTime() > removedTime)
+            .sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time));
+        
+        // Posts given an exact time keep it, and their slots stay taken
+        const taken = this._getTakenTimes(queue, platformPosts.filter(post => !later.includes(post)));
+        const freeSlots = this.getSlots(queue, new Date(removedTime), Infinity)
+            .filter(slot => !this._isTaken(slot, taken));
+        
+        const moves = [];
+        later.forEach((post, index) => {
+            const slot = freeSlots[index];
+            
+            if (slot && new Date(slot) < new Date(post.scheduled_time)) {
+                moves.push({ post: post, schedule: slot });
+            }
+        });
+        
+        return moves;
+    }
+
+    /**
+     * Summarise a queue, e.g. "Mon–Fri at 09:00, 13:00, 18:00"
+     */
+    static describe(queue) {
+        if (!queue || !queue.days || queue.days.length === 0 || !queue.times || queue.times.length === 0) {
+            return 'No slots set';
+        }
+        
+        const indexes = queue.days.map(day => RECURRENCE_WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+        const isRun = indexes.length > 2 && indexes[indexes.length - 1] - indexes[0] === indexes.length - 1;
+        const days = isRun ?
+            `${ContentCalendar.WEEKDAY_NAMES[indexes[0]]}–${ContentCalendar.WEEKDAY_NAMES[indexes[indexes.length - 1]]}` :
+            indexes.map(index => ContentCalendar.WEEKDAY_NAMES[index]).join(', ');
+        
+        return `${days} at ${[...queue.times].sort().join(', ')}`;
+    }
+
+    static _getTakenTimes(queue, posts) {
+        return posts
+            .filter(post => post.platform === queue.platform && post.status === 'pending')
+            .map(post => new Date(post.scheduled_time).getTime());
+    }
+
+    static _isTaken(slot, takenTimes) {
+        const time = new Date(slot).getTime();
+        return takenTimes.some(taken => Math.abs(taken - time) < this.SLOT_TOLERANCE);
+    }
+}
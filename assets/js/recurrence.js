@@ -0,0 +1,401 @@
+/**
+ * recurrence.js - Recurrence Rules
+ * Builds, checks and expands the RRULE subset used for recurring posts
+ */
+
+const RECURRENCE_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const RECURRENCE_WEEKDAY_NAMES = {
+    MO: 'Mon',
+    TU: 'Tue',
+    WE: 'Wed',
+    TH: 'Thu',
+    FR: 'Fri',
+    SA: 'Sat',
+    SU: 'Sun'
+};
+
+class RecurrenceRule {
+    /**
+     * How many upcoming runs the composer previews
+     */
+    static get PREVIEW_COUNT() {
+        return 5;
+    }
+
+    /**
+     * Upper bound on periods scanned while expanding a rule, so a rule that
+     * never matches cannot loop forever
+     */
+    static get MAX_PERIODS() {
+        return 1000;
+    }
+
+    /**
+     * Build an RRULE from the composer's preset options.
+     * `until` is a YYYY-MM-DD date; the series ends after that day in `timeZone`.
+     */
+    static fromOptions({ frequency, interval, weekdays, end, until, count, timeZone }) {
+        const parts = [`FREQ=${frequency}`];
+        
+        if (interval > 1) {
+            parts.push(`INTERVAL=${interval}`);
+        }
+        
+        if (frequency === 'WEEKLY' && weekdays && weekdays.length > 0) {
+            parts.push(`BYDAY=${weekdays.join(',')}`);
+        }
+        
+        if (end === 'until' && until) {
+            const endOfDay = Utils.zonedTimeToUtc(`${until}T23:59`, timeZone);
+            if (endOfDay) {
+                parts.push(`UNTIL=${endOfDay.replace(/[-:]/g, '').slice(0, 15)}Z`);
+            }
+        }
+        
+        if (end === 'count' && count) {
+            parts.push(`COUNT=${count}`);
+        }
+        
+        return parts.join(';');
+    }
+
+    /**
+     * Parse an RRULE string into its parts. Throws on anything outside the
+     * supported subset (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL).
+     */
+    static parse(rrule) {
+        const text = (rrule || '').trim().replace(/^RRULE:/i, '');
+        const rule = {
+            freq: null,
+            interval: 1,
+            byDay: [],
+            byMonthDay: [],
+            count: null,
+            until: null
+        };
+        
+        if (!text) {
+            throw new Error('Recurrence rule is empty');
+        }
+        
+        text.split(';').filter(Boolean).forEach(part => {
+            const [name, value] = part.split('=');
+            const key = (name || '').trim().toUpperCase();
+            const val = (value || '').trim().toUpperCase();
+            
+            if (!val) {
+                throw new Error(`${key || 'Rule part'} needs a value`);
+            }
+            
+            switch (key) {
+                case 'FREQ':
+                    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(val)) {
+                        throw new Error('FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY');
+                    }
+                    rule.freq = val;
+                    break;
+                case 'INTERVAL':
+                    rule.interval = this._parsePositive(val, 'INTERVAL');
+                    break;
+                case 'COUNT':
+                    rule.count = this._parsePositive(val, 'COUNT');
+                    break;
+                case 'UNTIL':
+                    if (!/^\d{8}(T\d{6}Z?)?$/.test(val)) {
+                        throw new Error('UNTIL must look like 20261231 or 20261231T235900Z');
+                    }
+                    rule.until = val;
+                    break;
+                case 'BYDAY':
+                    rule.byDay = val.split(',').map(day => {
+                        const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(day.trim());
+                        if (!match) {
+                            throw new Error(`"${day}" is not a valid BYDAY value`);
+                        }
+                        return { weekday: match[2], ordinal: match[1] ? parseInt(match[1], 10) : null };
+                    });
+                    break;
+                case 'BYMONTHDAY':
+                    rule.byMonthDay = val.split(',').map(day => {
+                        const number = parseInt(day, 10);
+                        if (!/^[+-]?\d{1,2}$/.test(day.trim()) || number === 0 || Math.abs(number) > 31) {
+                            throw new Error(`"${day}" is not a valid BYMONTHDAY value`);
+                        }
+                        return number;
+                    });
+                    break;
+                default:
+                    throw new Error(`${key} is not supported in recurrence rules`);
+            }
+        });
+        
+        if (!rule.freq) {
+            throw new Error('Recurrence rule needs a FREQ');
+        }
+        
+        if (rule.count && rule.until) {
+            throw new Error('Use either COUNT or UNTIL, not both');
+        }
+        
+        // Reject parts the expansion would silently ignore
+        if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+            throw new Error('BYMONTHDAY only works with FREQ=MONTHLY');
+        }
+        
+        if (rule.byDay.length > 0 && rule.freq === 'YEARLY') {
+            throw new Error('BYDAY does not work with FREQ=YEARLY');
+        }
+        
+        if (rule.byDay.some(item => item.ordinal !== null) && rule.freq !== 'MONTHLY') {
+            throw new Error('Numbered BYDAY values like 2MO only work with FREQ=MONTHLY');
+        }
+        
+        return rule;
+    }
+
+    static _parsePositive(value, name) {
+        if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+            throw new Error(`${name} must be a whole number of at least 1`);
+        }
+        return parseInt(value, 10);
+    }
+
+    /**
+     * Validate an RRULE string
+     */
+    static validate(rrule) {
+        const errors = [];
+        
+        try {
+            this.parse(rrule);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Expand a rule into run times. `start` is the wall-clock time of the first
+     * run (YYYY-MM-DDTHH:mm) in `timeZone`; every run keeps that wall-clock time
+     * across DST changes. Returns UTC ISO strings, stopping after `limit` runs
+     * or before the first run later than the `before` timestamp.
+     */
+    static getOccurrences(rrule, start, timeZone, limit = this.PREVIEW_COUNT, before = Infinity) {
+        const rule = this.parse(rrule);
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(start || '');
+        if (!match) return [];
+        
+        // Candidates are built on a "floating" wall-clock date kept in UTC fields
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const dtstart = new Date(Date.UTC(year, month - 1, day, hour, minute));
+        const until = rule.until ? this._parseUntil(rule.until, timeZone) : null;
+        const occurrences = [];
+        let produced = 0;
+        
+        for (let period = 0; period < this.MAX_PERIODS; period++) {
+            const candidates = this._expandPeriod(rule, dtstart, period);
+            
+            for (const candidate of candidates) {
+                if (candidate < dtstart) continue;
+                
+                const utc = Utils.zonedTimeToUtc(candidate.toISOString().slice(0, 16), timeZone);
+                
+                if ((until && new Date(utc).getTime() > until) ||
+                    (rule.count && produced >= rule.count) ||
+                    new Date(utc).getTime() > before) {
+                    return occurrences;
+                }
+                
+                produced++;
+                occurrences.push(utc);
+                
+                if (occurrences.length >= limit) {
+                    return occurrences;
+                }
+            }
+        }
+        
+        return occurrences;
+    }
+
+    static _parseUntil(until, timeZone) {
+        const [, year, month, day, time] = /^(\d{4})(\d{2})(\d{2})(?:T(\d{6}))?/.exec(until);
+        
+        // A bare date ends the series after that day in the series' zone
+        if (!time) {
+            return new Date(Utils.zonedTimeToUtc(`${year}-${month}-${day}T23:59`, timeZone)).getTime();
+        }
+        
+        const local = `${year}-${month}-${day}T${time.slice(0, 2)}:${time.slice(2, 4)}`;
+        
+        return until.endsWith('Z') ?
+            new Date(`${local}:${time.slice(4, 6)}Z`).getTime() :
+            new Date(Utils.zonedTimeToUtc(local, timeZone)).getTime();
+    }
+
+    /**
+     * Build the sorted candidate run times for the n-th period of a rule
+     */
+    static _expandPeriod(rule, dtstart, period) {
+        const step = period * rule.interval;
+        const weekdays = rule.byDay.map(item => item.weekday);
+        const atStartTime = (y, m, d) => new Date(Date.UTC(y, m, d, dtstart.getUTCHours(), dtstart.getUTCMinutes()));
+        
+        switch (rule.freq) {
+            case 'DAILY': {
+                const date = atStartTime(dtstart.getUTCFullYear(), dtstart.getUTCMonth(), dtstart.getUTCDate() + step);
+                return weekdays.length === 0 || weekdays.includes(this._weekdayOf(date)) ? [date] : [];
+            }
+            
+            case 'WEEKLY': {
+                // Weeks start on Monday, as in the RRULE default
+                const monday = dtstart.getUTCDate() - RECURRENCE_WEEKDAYS.indexOf(this._weekdayOf(dtstart));
+                const days = weekdays.length > 0 ? weekdays : [this._weekdayOf(dtstart)];
+                
+                return RECURRENCE_WEEKDAYS
+                    .filter(weekday => days.includes(weekday))
+                    .map(weekday => atStartTime(
+                        dtstart.getUTCFullYear(),
+                        dtstart.getUTCMonth(),
+                        monday + step * 7 + RECURRENCE_WEEKDAYS.indexOf(weekday)
+                    ));
+            }
+            
+            case 'MONTHLY': {
+                const first = new Date(Date.UTC(dtstart.getUTCFullYear(), dtstart.getUTCMonth() + step, 1));
+                return this._expandMonth(rule, first.getUTCFullYear(), first.getUTCMonth(), dtstart)
+                    .map(day => atStartTime(first.getUTCFullYear(), first.getUTCMonth(), day));
+            }
+            
+            case 'YEARLY': {
+                const yearOfRun = dtstart.getUTCFullYear() + step;
+                
+                // Skip years where the start date does not exist (29 February)
+                if (dtstart.getUTCDate() > this._daysInMonth(yearOfRun, dtstart.getUTCMonth())) {
+                    return [];
+                }
+                return [atStartTime(yearOfRun, dtstart.getUTCMonth(), dtstart.getUTCDate())];
+            }
+            
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Days of a month matched by a MONTHLY rule, in order
+     */
+    static _expandMonth(rule, year, month, dtstart) {
+        const length = this._daysInMonth(year, month);
+        const weekdayOfDay = day => this._weekdayOf(new Date(Date.UTC(year, month, day)));
+        let days;
+        
+        if (rule.byMonthDay.length > 0) {
+            days = rule.byMonthDay.map(day => (day > 0 ? day : length + day + 1));
+            
+            // With both parts, BYDAY narrows the BYMONTHDAY matches
+            if (rule.byDay.length > 0) {
+                days = days.filter(day => rule.byDay.some(item => item.weekday === weekdayOfDay(day)));
+            }
+        } else if (rule.byDay.length > 0) {
+            days = [];
+            rule.byDay.forEach(item => {
+                const matches = [];
+                for (let day = 1; day <= length; day++) {
+                    if (weekdayOfDay(day) === item.weekday) {
+                        matches.push(day);
+                    }
+                }
+                
+                if (item.ordinal === null) {
+                    days.push(...matches);
+                } else {
+                    const index = item.ordinal > 0 ? item.ordinal - 1 : matches.length + item.ordinal;
+                    if (matches[index]) {
+                        days.push(matches[index]);
+                    }
+                }
+            });
+        } else {
+            days = [dtstart.getUTCDate()];
+        }
+        
+        // Days that do not exist in this month are skipped, not moved
+        return [...new Set(days)]
+            .filter(day => day >= 1 && day <= length)
+            .sort((a, b) => a - b);
+    }
+
+    static _daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    static _weekdayOf(date) {
+        return RECURRENCE_WEEKDAYS[(date.getUTCDay() + 6) % 7];
+    }
+
+    /**
+     * Describe a rule in plain words, e.g. "Every 2 weeks on Mon, Wed, 10 times"
+     */
+    static describe(rrule, timeZone = null) {
+        let rule;
+        try {
+            rule = this.parse(rrule);
+        } catch (error) {
+            return 'Custom schedule';
+        }
+        
+        const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+        let text = rule.interval > 1 ?
+            `Every ${rule.interval} ${units[rule.freq]}s` :
+            `Every ${units[rule.freq]}`;
+        
+        if (rule.byDay.length > 0) {
+            text += ' on ' + rule.byDay.map(item => {
+                const name = RECURRENCE_WEEKDAY_NAMES[item.weekday];
+                return item.ordinal === null ? name : `${this._ordinal(item.ordinal)} ${name}`;
+            }).join(', ');
+        }
+        
+        if (rule.byMonthDay.length > 0) {
+            // "on day 1, 15, the last day"; days from the end read as "the 2nd-to-last day"
+            const fromStart = rule.byMonthDay.filter(day => day > 0);
+            const fromEnd = rule.byMonthDay.filter(day => day < 0).map(day => `the ${this._ordinal(day)} day`);
+            text += ' on ' + [fromStart.length > 0 ? `day ${fromStart.join(', ')}` : null, ...fromEnd]
+                .filter(Boolean)
+                .join(', ');
+        }
+        
+        if (rule.count) {
+            text += `, ${rule.count} time${rule.count > 1 ? 's' : ''}`;
+        }
+        
+        if (rule.until) {
+            const until = new Date(this._parseUntil(rule.until, timeZone || Utils.getBrowserTimezone()));
+            text += `, until ${until.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                timeZone: timeZone || undefined
+            })}`;
+        }
+        
+        return text;
+    }
+
+    /**
+     * 2 -> "2nd"; negative numbers count from the end: -1 -> "last", -2 -> "2nd-to-last"
+     */
+    static _ordinal(number) {
+        if (number === -1) return 'last';
+        if (number < 0) return `${this._ordinal(-number)}-to-last`;
+        
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        return `${number}${(number % 100 > 10 && number % 100 < 14) ? 'th' : suffixes[number % 10] || 'th'}`;
+    }
+}
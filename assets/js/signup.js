@@ -66,13 +66,14 @@ class SignupPage {
             
             if (result.success) {
                 this.showNotification(
-                    `Welcome to AutoPoster! Your 7-day free trial has started. Trial ends: ${new Date(result.user.trialEnd).toLocaleDateString()}`,
+                    `Welcome to AutoPoster! Your 7-day free trial has started. Trial ends: ${new Date(result.user.trialEnd).toLocaleDateString()}. ` +
+                    'Next, we\'ll email you a code to sign in.',
                     'success'
                 );
                 
-                // Redirect to dashboard after successful signup
+                // Sign in through the emailed code like every other login
                 setTimeout(() => {
-                    window.location.href = 'dashboard.html';
+                    window.location.href = `login.html?email=${encodeURIComponent(userData.email)}&send=1`;
                 }, 2000);
             }
         } catch (error) {
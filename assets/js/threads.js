@@ -0,0 +1,139 @@
+/**
+ * threads.js - Thread Splitter
+ * Splits long messages into numbered parts for platforms with short limits
+ */
+
+class ThreadSplitter {
+    /**
+     * Split text into numbered parts ("1/4", "2/4"...) that fit the platform limit.
+     * Parts break on sentence boundaries where possible, then on words, and never
+     * inside a URL or hashtag.
+     */
+    static split(text, platform) {
+        const limit = PlatformRegistry.getCharLimit(platform);
+        const tokens = (text || '').trim().match(/\S+\s*/g) || [];
+        
+        if (tokens.length === 0) {
+            return [];
+        }
+        
+        // The numbering suffix grows with the part count, so retry with a wider reserve
+        let digits = 1;
+        
+        while (digits < 4) {
+            const maxParts = Math.pow(10, digits) - 1;
+            const reserve = PlatformRegistry.countCharacters(platform, ` ${maxParts}/${maxParts}`);
+            const parts = this._pack(tokens, limit - reserve, platform);
+            
+            if (parts.length <= maxParts) {
+                return parts.map((part, index) => `${part} ${index + 1}/${parts.length}`);
+            }
+            
+            digits++;
+        }
+        
+        throw new Error('Message is too long to split into a thread');
+    }
+
+    /**
+     * Greedily pack sentences, then words, into parts of at most `budget` characters
+     */
+    static _pack(tokens, budget, platform) {
+        const fits = value => PlatformRegistry.countCharacters(platform, value.trim()) <= budget;
+        const parts = [];
+        let current = '';
+        
+        const flush = () => {
+            if (current.trim()) {
+                parts.push(current.trim());
+            }
+            current = '';
+        };
+        
+        this._groupSentences(tokens).forEach(sentence => {
+            if (fits(current + sentence.join(''))) {
+                current += sentence.join('');
+                return;
+            }
+            
+            flush();
+            
+            if (fits(sentence.join(''))) {
+                current = sentence.join('');
+                return;
+            }
+            
+            // Sentence is longer than a part on its own: fall back to words
+            sentence.forEach(token => {
+                if (fits(current + token)) {
+                    current += token;
+                    return;
+                }
+                
+                flush();
+                
+                if (fits(token)) {
+                    current = token;
+                    return;
+                }
+                
+                this._splitWord(token, budget, platform).forEach(piece => parts.push(piece));
+            });
+        });
+        
+        flush();
+        return parts;
+    }
+
+    /**
+     * Group whitespace-delimited tokens into sentences
+     */
+    static _groupSentences(tokens) {
+        const sentences = [];
+        let sentence = [];
+        
+        tokens.forEach(token => {
+            sentence.push(token);
+            
+            // A sentence ends with terminal punctuation or a line break
+            if (/[.!?]["')\]]*\s*$/.test(token) || /\n/.test(token)) {
+                sentences.push(sentence);
+                sentence = [];
+            }
+        });
+        
+        if (sentence.length > 0) {
+            sentences.push(sentence);
+        }
+        
+        return sentences;
+    }
+
+    /**
+     * Hard-split a single word that does not fit in one part
+     */
+    static _splitWord(token, budget, platform) {
+        const word = token.trim();
+        
+        if (/^https?:\/\//i.test(word) || /^#/.test(word)) {
+            throw new Error(`"${word.slice(0, 30)}..." is too long for one ${PlatformRegistry.getDisplayName(platform)} post and cannot be split`);
+        }
+        
+        const pieces = [];
+        let piece = '';
+        
+        Array.from(word).forEach(char => {
+            if (PlatformRegistry.countCharacters(platform, piece + char) > budget) {
+                pieces.push(piece);
+                piece = '';
+            }
+            piece += char;
+        });
+        
+        if (piece) {
+            pieces.push(piece);
+        }
+        
+        return pieces;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * timing.js - Posting Time Advisor
+ * Recommends weekly posting windows per platform from the user's own history.
+ *
+ * A window is { day: 'TU', hour: 9 } in the user's zone. Each finished post
+ * scores its window: failures score 0, posts that went out score 1 plus a
+ * boost for any engagement the backend recorded (`engagement_score`, or the
+ * counts in `engagement`). Until a platform has MIN_HISTORY finished posts the
+ * registry's typical windows are used instead.
+ */
+
+class PostingTimeAdvisor {
+    /**
+     * Finished posts needed on a platform before its history is trusted
+     */
+    static get MIN_HISTORY() {
+        return 8;
+    }
+
+    /**
+     * How much history to look at
+     */
+    static get HISTORY_DAYS() {
+        return 90;
+    }
+
+    static get WINDOW_COUNT() {
+        return 3;
+    }
+
+    /**
+     * Engagement counts that add to a post's score
+     */
+    static get ENGAGEMENT_FIELDS() {
+        return ['likes', 'reactions', 'comments', 'replies', 'shares', 'retweets', 'saves', 'clicks'];
+    }
+
+    /**
+     * Recommend windows for a platform, best first. Returns
+     * { windows: [{ day, hour, posts }], source: 'history' | 'typical', posts }.
+     */
+    static recommend(posts, platform, timeZone) {
+        const finished = posts.filter(post =>
+            post.platform === platform && (post.status === 'posted' || post.status === 'failed')
+        );
+        
+        if (finished.length < this.MIN_HISTORY) {
+            return {
+                windows: PlatformRegistry.getPostingTimes(platform).map(window => ({ ...window, posts: 0 })),
+                source: 'typical',
+                posts: finished.length
+            };
+        }
+        
+        const buckets = {};
+        let totalScore = 0;
+        
+        finished.forEach(post => {
+            const local = Utils.formatDateTimeLocal(post.scheduled_time, timeZone);
+            const day = RECURRENCE_WEEKDAYS[ContentCalendar.getWeekdayIndex(local.slice(0, 10))];
+            const hour = Number(local.slice(11, 13));
+            const key = `${day}-${hour}`;
+            const score = this.score(post);
+            
+            buckets[key] = buckets[key] || { day: day, hour: hour, posts: 0, score: 0 };
+            buckets[key].posts++;
+            buckets[key].score += score;
+            totalScore += score;
+        });
+        
+        // Pull windows with few posts towards the overall average so one lucky
+        // post doesn't outrank a window that performs well week after week
+        const average = totalScore / finished.length;
+        const weight = 2;
+        
+        const windows = Object.values(buckets)
+            .map(bucket => ({
+                day: bucket.day,
+                hour: bucket.hour,
+                posts: bucket.posts,
+                rating: (bucket.score + average * weight) / (bucket.posts + weight)
+            }))
+            .sort((a, b) => b.rating - a.rating || b.posts - a.posts)
+            .slice(0, this.WINDOW_COUNT)
+            .map(({ day, hour, posts }) => ({ day, hour, posts }));
+        
+        return { windows: windows, source: 'history', posts: finished.length };
+    }
+
+    /**
+     * Score one finished post
+     */
+    static score(post) {
+        if (post.status !== 'posted') return 0;
+        
+        let interactions = 0;
+        if (typeof post.engagement_score === 'number') {
+            interactions = post.engagement_score;
+        } else if (post.engagement && typeof post.engagement === 'object') {
+            this.ENGAGEMENT_FIELDS.forEach(field => {
+                interactions += Number(post.engagement[field]) || 0;
+            });
+        }
+        
+        return 1 + Math.log1p(Math.max(0, interactions));
+    }
+
+    /**
+     * Next start of a window (UTC ISO string), at least `leadTime` ms from now
+     */
+    static getNextTime(window, timeZone, leadTime = QueueAllocator.MIN_LEAD_TIME) {
+        const earliest = Date.now() + leadTime;
+        let day = ContentCalendar.getDayKey(new Date(earliest), timeZone);
+        
+        for (let index = 0; index < 8; index++) {
+            if (RECURRENCE_WEEKDAYS[ContentCalendar.getWeekdayIndex(day)] === window.day) {
+                const time = Utils.zonedTimeToUtc(`${day}T${String(window.hour).padStart(2, '0')}:00`, timeZone);
+                
+                if (new Date(time).getTime() >= earliest) {
+                    return time;
+                }
+            }
+            
+            day = ContentCalendar.addDays(day, 1);
+        }
+        
+        return null;
+    }
+
+    /**
+     * Label a window, e.g. "Tue 09:00"
+     */
+    static describe(window) {
+        const name = ContentCalendar.WEEKDAY_NAMES[RECURRENCE_WEEKDAYS.indexOf(window.day)];
+        return `${name} ${String(window.hour).padStart(2, '0')}:00`;
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * tokens.js - Token Health
+ * Describes connected platform tokens without ever handling the secret.
+ *
+ * The backend encrypts tokens at rest and token.list never returns them.
+ * Each entry carries:
+ *   platform, page_id_chat_id, connected_at, last_used
+ *   fingerprint  last 4 characters of the stored token
+ *   status       'valid' | 'expiring' | 'revoked', from the backend's last check
+ *   expires_at   when the platform stops accepting the token, if it expires
+ *   checked_at   when the backend last verified the token with the platform
+ *   auth_type    'oauth' when connected by signing in, 'manual' when pasted
+ *   refreshable  whether the backend holds a refresh grant for the token
+ */
+
+/**
+ * Health states, with the badge each one is shown with
+ */
+const TOKEN_STATUSES = {
+    valid: { label: 'Valid', badge: 'success' },
+    expiring: { label: 'Expiring soon', badge: 'warning' },
+    revoked: { label: 'Revoked', badge: 'error' }
+};
+
+class TokenHealth {
+    /**
+     * How close to its expiry a token counts as expiring
+     */
+    static get EXPIRING_WITHIN() {
+        return 7 * 24 * 60 * 60 * 1000; // 7 days
+    }
+
+    /**
+     * Fields that would hold a raw secret if a backend sent one back
+     */
+    static get SECRET_FIELDS() {
+        return ['token', 'access_token', 'refresh_token', 'bot_token'];
+    }
+
+    /**
+     * Keep only what the UI may show. Backends that predate fingerprints
+     * still return the raw token; fingerprint it and drop it.
+     */
+    static sanitize(token) {
+        const safe = { ...token };
+        const secret = this.SECRET_FIELDS.map(field => token[field]).find(value => typeof value === 'string' && value);
+        
+        this.SECRET_FIELDS.forEach(field => {
+            delete safe[field];
+        });
+        
+        if (!safe.fingerprint && secret) {
+            safe.fingerprint = secret.slice(-4);
+        }
+        
+        return safe;
+    }
+
+    /**
+     * Work out a token's health. The backend's status wins; the expiry only
+     * fills in for backends that don't report one.
+     */
+    static getStatus(token) {
+        if (token.revoked_at || token.status === 'revoked' || token.status === 'expired') {
+            return 'revoked';
+        }
+        
+        const expiresAt = token.expires_at ? new Date(token.expires_at).getTime() : null;
+        
+        if (expiresAt !== null && expiresAt <= Date.now()) {
+            return 'revoked';
+        }
+        
+        if (token.status === 'expiring' || (expiresAt !== null && expiresAt - Date.now() <= this.EXPIRING_WITHIN)) {
+            return 'expiring';
+        }
+        
+        return 'valid';
+    }
+
+    /**
+     * Whether the backend can renew the token without the user
+     */
+    static isRefreshable(token) {
+        return token.auth_type === 'oauth' && token.refreshable !== false;
+    }
+
+    static getLabel(status) {
+        return (TOKEN_STATUSES[status] || TOKEN_STATUSES.valid).label;
+    }
+
+    static getBadge(status) {
+        return (TOKEN_STATUSES[status] || TOKEN_STATUSES.valid).badge;
+    }
+
+    /**
+     * Masked form of the token, e.g. "•••• x7Qa"
+     */
+    static mask(token) {
+        return token.fingerprint ? `•••• ${String(token.fingerprint).slice(-4)}` : '••••';
+    }
+
+    /**
+     * One line on what the health means for posting
+     */
+    static describe(token) {
+        switch (this.getStatus(token)) {
+            case 'revoked':
+                return 'The platform no longer accepts this token. Scheduled posts will fail until you reconnect.';
+            case 'expiring':
+                if (this.isRefreshable(token)) {
+                    return 'Expires soon and will be renewed automatically.';
+                }
+                
+                return token.expires_at ?
+                    `Expires ${Utils.formatDate(token.expires_at)}. Reconnect to keep posting.` :
+                    'Expires soon. Reconnect to keep posting.';
+            default:
+                return token.expires_at ?
+                    `Expires ${Utils.formatDate(token.expires_at)}` :
+                    'No expiry reported';
+        }
+    }
+}
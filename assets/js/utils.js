@@ -5,21 +5,138 @@
 
 class Utils {
     /**
-     * Format date to local string
+     * Format date to local string, or to a given IANA time zone
      */
-    static formatDate(dateString) {
+    static formatDate(dateString, timeZone = null) {
         if (!dateString) return 'N/A';
         
         const date = new Date(dateString);
         if (isNaN(date.getTime())) return 'Invalid Date';
         
-        return date.toLocaleString('en-US', {
+        const options = {
             year: 'numeric',
             month: 'short',
             day: 'numeric',
             hour: '2-digit',
             minute: '2-digit'
+        };
+        
+        if (timeZone) {
+            options.timeZone = timeZone;
+            options.timeZoneName = 'short';
+        }
+        
+        return date.toLocaleString('en-US', options);
+    }
+
+    /**
+     * Format date as a datetime-local input value (YYYY-MM-DDTHH:mm),
+     * in local time or in a given IANA time zone
+     */
+    static formatDateTimeLocal(dateString, timeZone = null) {
+        const date = new Date(dateString);
+        if (isNaN(date.getTime())) return '';
+        
+        const pad = value => value.toString().padStart(2, '0');
+        
+        if (timeZone) {
+            const parts = this._getZonedParts(date.getTime(), timeZone);
+            return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+        }
+        
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Convert a wall-clock datetime-local value in an IANA time zone to a UTC ISO string
+     */
+    static zonedTimeToUtc(localValue, timeZone) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(localValue || '');
+        if (!match) return null;
+        
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        
+        // Apply the zone offset, then re-check it in case the guess crossed a DST change
+        let utc = wallClock - this.getTimezoneOffset(wallClock, timeZone);
+        utc = wallClock - this.getTimezoneOffset(utc, timeZone);
+        
+        return new Date(utc).toISOString();
+    }
+
+    /**
+     * Get the offset of an IANA time zone from UTC at an instant, in milliseconds
+     */
+    static getTimezoneOffset(timestamp, timeZone) {
+        const parts = this._getZonedParts(timestamp, timeZone);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        
+        return asUtc - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    static _getZonedParts(timestamp, timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        
+        const parts = {};
+        formatter.formatToParts(new Date(timestamp)).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = parseInt(part.value, 10);
+            }
         });
+        
+        return parts;
+    }
+
+    /**
+     * Get the browser's IANA time zone
+     */
+    static getBrowserTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Check that a string names an IANA time zone the browser knows
+     */
+    static isValidTimezone(timeZone) {
+        if (!timeZone) return false;
+        
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Get the list of selectable IANA time zones
+     */
+    static getTimezones() {
+        if (typeof Intl.supportedValuesOf === 'function') {
+            return Intl.supportedValuesOf('timeZone');
+        }
+        
+        // Older browsers cannot enumerate zones; offer the common ones
+        return [
+            'UTC', 'Africa/Lagos', 'Africa/Cairo', 'Africa/Johannesburg', 'Africa/Nairobi',
+            'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'America/New_York',
+            'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Sao_Paulo',
+            'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney'
+        ];
     }
 
     /**
@@ -65,6 +182,21 @@ class Utils {
         }
     }
 
+    /**
+     * Return a URL that is safe to put in src/href (http, https or a local
+     * blob), or null for anything else such as javascript: URLs
+     */
+    static getSafeMediaUrl(url) {
+        if (!url) return null;
+        
+        try {
+            const parsedUrl = new URL(url, window.location.href);
+            return ['http:', 'https:', 'blob:'].includes(parsedUrl.protocol) ? parsedUrl.href : null;
+        } catch {
+            return null;
+        }
+    }
+
     /**
      * Debounce function to limit API calls
      */
@@ -89,6 +221,18 @@ class Utils {
         return temp.innerHTML;
     }
 
+    /**
+     * Escape a value for use inside a quoted HTML attribute
+     */
+    static escapeAttribute(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     /**
      * Truncate text with ellipsis
      */
@@ -142,30 +286,14 @@ class Utils {
      * Get platform display name
      */
     static getPlatformDisplayName(platform) {
-        const platforms = {
-            telegram: 'Telegram',
-            facebook: 'Facebook',
-            twitter: 'Twitter',
-            instagram: 'Instagram',
-            linkedin: 'LinkedIn'
-        };
-        
-        return platforms[platform] || platform;
+        return PlatformRegistry.getDisplayName(platform);
     }
 
     /**
      * Get platform icon
      */
     static getPlatformIcon(platform) {
-        const icons = {
-            telegram: '📢',
-            facebook: '📘',
-            twitter: '🐦',
-            instagram: '📷',
-            linkedin: '💼'
-        };
-        
-        return icons[platform] || '🔗';
+        return PlatformRegistry.getIcon(platform);
     }
 
     /**
@@ -0,0 +1,37 @@
+/**
+ * validators.js - Credential Validators
+ * Per-platform shape checks for tokens and account IDs before they are saved.
+ * Rules live with each platform's credential fields in platforms.js
+ */
+
+class CredentialValidator {
+    /**
+     * Validate credential data for a platform
+     */
+    static validate(platform, tokenData) {
+        const errors = {};
+        
+        PlatformRegistry.getCredentialFields(platform).forEach(field => {
+            const value = (tokenData[field.name] || '').trim();
+            
+            if (!value) {
+                errors[field.name] = `${field.label} is required`;
+                return;
+            }
+            
+            if (/\s/.test(value)) {
+                errors[field.name] = 'Remove spaces or line breaks copied with the value';
+                return;
+            }
+            
+            if (field.pattern && !field.pattern.test(value)) {
+                errors[field.name] = field.patternMessage || `${field.label} is not in the expected format`;
+            }
+        });
+        
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors: errors
+        };
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * recurrence.test.js - Recurrence Rule Tests
+ * Loads the browser scripts into a sandbox and checks RecurrenceRule.
+ * Needs only Node.js 18 or later:
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScripts(names) {
+    // utils.js adds its notification styles to the page when it loads
+    const context = vm.createContext({
+        document: {
+            createElement: () => ({}),
+            head: { appendChild: () => {} }
+        },
+        Intl: Intl
+    });
+
+    const source = names
+        .map(name => fs.readFileSync(path.join(__dirname, '..', 'assets', 'js', `${name}.js`), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(`${source}\n;this.RecurrenceRule = RecurrenceRule;`, context);
+
+    return context;
+}
+
+const { RecurrenceRule } = loadScripts(['utils', 'recurrence']);
+
+test('describes days counted from the end of the month', () => {
+    assert.strictEqual(RecurrenceRule.describe('FREQ=MONTHLY;BYMONTHDAY=-1'), 'Every month on the last day');
+    assert.strictEqual(RecurrenceRule.describe('FREQ=MONTHLY;BYMONTHDAY=-2'), 'Every month on the 2nd-to-last day');
+    assert.strictEqual(
+        RecurrenceRule.describe('FREQ=MONTHLY;BYMONTHDAY=1,15,-3'),
+        'Every month on day 1, 15, the 3rd-to-last day'
+    );
+});
+
+test('describes weekdays counted from the end of the month', () => {
+    assert.strictEqual(RecurrenceRule.describe('FREQ=MONTHLY;BYDAY=-1FR'), 'Every month on last Fri');
+    assert.strictEqual(RecurrenceRule.describe('FREQ=MONTHLY;BYDAY=-2FR'), 'Every month on 2nd-to-last Fri');
+});
+
+test('rejects rule parts the expansion would ignore', () => {
+    assert.throws(() => RecurrenceRule.parse('FREQ=WEEKLY;BYMONTHDAY=1'), /BYMONTHDAY only works with FREQ=MONTHLY/);
+    assert.throws(() => RecurrenceRule.parse('FREQ=YEARLY;BYDAY=MO'), /BYDAY does not work with FREQ=YEARLY/);
+    assert.throws(() => RecurrenceRule.parse('FREQ=WEEKLY;BYDAY=2MO'), /only work with FREQ=MONTHLY/);
+});
@@ -0,0 +1,263 @@
+/**
+ * mock-oauth-server.js - Local OAuth 2.0 Authorization Server
+ * Stands in for Facebook, Twitter/X, LinkedIn and Instagram when testing the
+ * connect flow. Needs only Node.js:
+ *
+ *   node tools/mock-oauth-server.js          (listens on port 8787)
+ *   MOCK_OAUTH_PORT=9000 node tools/mock-oauth-server.js
+ *
+ * Point the browser at it with oauthAuthorizeUrls in assets/js/env.js, and
+ * the backend's token exchange at /token on the same server.
+ *
+ *   GET  /authorize  consent page; approving redirects back with ?code&state
+ *   POST /token      authorization_code (with PKCE) and refresh_token grants
+ *   GET  /me         account behind a bearer token
+ *
+ * Access tokens last ACCESS_TOKEN_TTL seconds so refreshes can be tried
+ * without waiting. Everything is kept in memory.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.MOCK_OAUTH_PORT) || 8787;
+const ACCESS_TOKEN_TTL = Number(process.env.MOCK_OAUTH_TOKEN_TTL) || 3600;
+const CODE_TTL = 60 * 1000;
+
+const codes = new Map();
+const accessTokens = new Map();
+const refreshTokens = new Map();
+
+function randomToken(prefix) {
+    return `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function createChallenge(verifier) {
+    return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Mock OAuth</title>
+<style>body{font-family:sans-serif;max-width:480px;margin:48px auto;padding:0 16px;color:#1f2937}
+button{padding:8px 16px;margin-right:8px;cursor:pointer}code{background:#f3f4f6;padding:2px 4px}</style>
+</head><body>${body}</body></html>`);
+}
+
+function redirect(res, target, params) {
+    const url = new URL(target);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(key, value);
+        }
+    });
+    
+    res.writeHead(302, { Location: url.toString() });
+    res.end();
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            // Token endpoints take form posts; accept JSON as well
+            if ((req.headers['content-type'] || '').includes('application/json')) {
+                try {
+                    resolve(JSON.parse(body || '{}'));
+                } catch (error) {
+                    reject(error);
+                }
+            } else {
+                resolve(Object.fromEntries(new URLSearchParams(body)));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Consent page. Checks the request the way a provider would before asking.
+ */
+function handleAuthorize(res, query) {
+    const required = ['response_type', 'client_id', 'redirect_uri', 'state', 'code_challenge'];
+    const missing = required.filter(key => !query.get(key));
+    
+    if (missing.length > 0) {
+        sendHtml(res, 400, `<h1>Invalid request</h1><p>Missing ${missing.map(key => `<code>${key}</code>`).join(', ')}.</p>`);
+        return;
+    }
+    
+    if (query.get('response_type') !== 'code' || query.get('code_challenge_method') !== 'S256') {
+        sendHtml(res, 400, '<h1>Invalid request</h1><p>Only <code>response_type=code</code> with <code>S256</code> PKCE is supported.</p>');
+        return;
+    }
+    
+    const hidden = Array.from(query.entries())
+        .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+        .join('');
+    
+    sendHtml(res, 200, `
+        <h1>Mock sign-in</h1>
+        <p><strong>${escapeHtml(query.get('client_id'))}</strong> wants to:</p>
+        <ul>${(query.get('scope') || '').split(/[ ,]+/).filter(Boolean).map(scope => `<li><code>${escapeHtml(scope)}</code></li>`).join('')}</ul>
+        <p>You will be sent back to <code>${escapeHtml(query.get('redirect_uri'))}</code>.</p>
+        <form method="GET" action="/decision">
+            ${hidden}
+            <button type="submit" name="decision" value="approve">Approve</button>
+            <button type="submit" name="decision" value="deny">Deny</button>
+        </form>
+    `);
+}
+
+function handleDecision(res, query) {
+    const redirectUri = query.get('redirect_uri');
+    const state = query.get('state');
+    
+    if (!redirectUri) {
+        sendHtml(res, 400, '<h1>Invalid request</h1><p>Missing <code>redirect_uri</code>.</p>');
+        return;
+    }
+    
+    if (query.get('decision') !== 'approve') {
+        redirect(res, redirectUri, {
+            error: 'access_denied',
+            error_description: 'The user denied the request',
+            state: state
+        });
+        return;
+    }
+    
+    const code = randomToken('code');
+    codes.set(code, {
+        clientId: query.get('client_id'),
+        redirectUri: redirectUri,
+        challenge: query.get('code_challenge'),
+        scope: query.get('scope') || '',
+        expiresAt: Date.now() + CODE_TTL
+    });
+    
+    redirect(res, redirectUri, { code: code, state: state });
+}
+
+function issueTokens(clientId, scope, account = null) {
+    const accessToken = randomToken('access');
+    const refreshToken = randomToken('refresh');
+    account = account || { id: `mock-${crypto.randomBytes(4).toString('hex')}`, name: 'Mock Account' };
+    
+    accessTokens.set(accessToken, { clientId, scope, account, expiresAt: Date.now() + ACCESS_TOKEN_TTL * 1000 });
+    refreshTokens.set(refreshToken, { clientId, scope, account });
+    
+    return {
+        access_token: accessToken,
+        token_type: 'bearer',
+        expires_in: ACCESS_TOKEN_TTL,
+        refresh_token: refreshToken,
+        scope: scope
+    };
+}
+
+async function handleToken(req, res) {
+    let body;
+    try {
+        body = await readBody(req);
+    } catch (error) {
+        sendJson(res, 400, { error: 'invalid_request', error_description: 'Unreadable request body' });
+        return;
+    }
+    
+    if (body.grant_type === 'authorization_code') {
+        const grant = codes.get(body.code);
+        // Codes are single-use, whether or not the exchange succeeds
+        codes.delete(body.code);
+        
+        if (!grant || grant.expiresAt < Date.now()) {
+            sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+        } else if (grant.clientId !== body.client_id || grant.redirectUri !== body.redirect_uri) {
+            sendJson(res, 400, { error: 'invalid_grant', error_description: 'client_id or redirect_uri does not match' });
+        } else if (!body.code_verifier || createChallenge(body.code_verifier) !== grant.challenge) {
+            sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        } else {
+            sendJson(res, 200, issueTokens(grant.clientId, grant.scope));
+        }
+        return;
+    }
+    
+    if (body.grant_type === 'refresh_token') {
+        const grant = refreshTokens.get(body.refresh_token);
+        
+        if (!grant) {
+            sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown refresh token' });
+            return;
+        }
+        
+        // Rotate the refresh token like the real providers that do
+        refreshTokens.delete(body.refresh_token);
+        sendJson(res, 200, issueTokens(grant.clientId, grant.scope, grant.account));
+        return;
+    }
+    
+    sendJson(res, 400, { error: 'unsupported_grant_type' });
+}
+
+function handleMe(req, res) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const grant = accessTokens.get(token);
+    
+    if (!grant || grant.expiresAt < Date.now()) {
+        sendJson(res, 401, { error: 'invalid_token' });
+        return;
+    }
+    
+    sendJson(res, 200, grant.account);
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Allow-Methods': 'GET, POST'
+        });
+        res.end();
+    } else if (req.method === 'GET' && url.pathname === '/authorize') {
+        handleAuthorize(res, url.searchParams);
+    } else if (req.method === 'GET' && url.pathname === '/decision') {
+        handleDecision(res, url.searchParams);
+    } else if (req.method === 'POST' && url.pathname === '/token') {
+        handleToken(req, res);
+    } else if (req.method === 'GET' && url.pathname === '/me') {
+        handleMe(req, res);
+    } else {
+        sendJson(res, 404, { error: 'not_found' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock OAuth server on http://localhost:${PORT}`);
+    console.log(`  authorize: http://localhost:${PORT}/authorize`);
+    console.log(`  token:     http://localhost:${PORT}/token`);
+});